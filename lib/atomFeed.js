@@ -0,0 +1,52 @@
+// Minimal Atom (RFC 4287) feed rendering for the public board
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toIsoString = (value) => new Date(value || Date.now()).toISOString();
+
+/**
+ * Render an Atom feed document
+ * @param {Object} feed
+ * @param {string} feed.id - Permanent feed IRI
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.selfUrl - URL the feed was fetched from
+ * @param {string} [feed.alternateUrl] - HTML page the feed mirrors
+ * @param {Date|string} [feed.updated] - Last change, defaults to now
+ * @param {Array<{id: string, title: string, link: string, updated: Date|string, summary: string, category: string}>} feed.entries
+ * @returns {string} - XML document
+ */
+const renderAtomFeed = ({ id, title, selfUrl, alternateUrl, updated, entries }) => {
+  const items = entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+    `    <updated>${toIsoString(entry.updated)}</updated>`,
+    entry.category ? `    <category term="${escapeXml(entry.category)}"/>` : null,
+    `    <summary type="text">${escapeXml(entry.summary)}</summary>`,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    alternateUrl ? `  <link rel="alternate" type="text/html" href="${escapeXml(alternateUrl)}"/>` : null,
+    `  <updated>${toIsoString(updated)}</updated>`,
+    '  <author><name>JKLU Feedback System</name></author>',
+    ...items,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+module.exports = {
+  renderAtomFeed
+};
@@ -0,0 +1,56 @@
+// Persistence helpers for complaint attachments
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const { ALLOWED_TYPES } = require('../middleware/upload');
+
+/**
+ * Strip directory parts and unsafe characters from an uploaded filename
+ * @param {string} filename - Original filename from the client
+ * @returns {string} - Safe display filename
+ */
+const sanitizeFilename = (filename) => {
+  const base = path.basename(filename || 'attachment');
+  const cleaned = base.replace(/[^\w.\- ()]/g, '_').slice(0, 255);
+  return cleaned || 'attachment';
+};
+
+/**
+ * Store uploaded files and record them in complaint_attachments.
+ * Stored files are removed again if any step fails.
+ * @param {Object} db - pg pool or client (use a client inside a transaction)
+ * @param {number} complaintId - Complaint the files belong to
+ * @param {number} userId - Uploading user
+ * @param {Array} files - Multer file objects (memory storage)
+ * @returns {Promise<Array>} - Inserted attachment rows
+ */
+const saveAttachments = async (db, complaintId, userId, files) => {
+  const storedKeys = [];
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const key = `${complaintId}/${uuidv4()}${ALLOWED_TYPES[file.mimetype].extension}`;
+      await storage.save(key, file.buffer);
+      storedKeys.push(key);
+
+      const result = await db.query(`
+        INSERT INTO complaint_attachments (complaint_id, filename, file_path, file_size, mime_type, uploaded_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, complaint_id, filename, file_size, mime_type, uploaded_by, uploaded_at
+      `, [complaintId, sanitizeFilename(file.originalname), key, file.size, file.mimetype, userId]);
+
+      attachments.push(result.rows[0]);
+    }
+  } catch (error) {
+    await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+
+  return attachments;
+};
+
+module.exports = {
+  sanitizeFilename,
+  saveAttachments
+};
@@ -0,0 +1,79 @@
+// Role-based scoping for single complaint lookups
+const pool = require('./db');
+
+/**
+ * Parse a complaint ID route parameter
+ * @param {string} id - Raw route parameter
+ * @returns {number|null} - Parsed ID or null if invalid
+ */
+const parseComplaintId = (id) => {
+  const complaintId = parseInt(id, 10);
+  if (isNaN(complaintId) || complaintId <= 0) {
+    return null;
+  }
+  return complaintId;
+};
+
+/**
+ * Load a complaint the user is allowed to see: students their own,
+ * sub_admins their domain's, super_admins any.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {number} complaintId - Complaint ID
+ * @returns {Promise<Object|null>} - Complaint row or null if not accessible
+ */
+const findAccessibleComplaint = async (user, complaintId) => {
+  let result;
+  if (user.role === 'student') {
+    result = await pool.query(`
+      SELECT id, student_id, domain_id, status, assigned_to, anonymous FROM complaints
+      WHERE id = $1 AND student_id = $2
+    `, [complaintId, user.id]);
+  } else if (user.role === 'sub_admin') {
+    result = await pool.query(`
+      SELECT id, student_id, domain_id, status, assigned_to, anonymous FROM complaints
+      WHERE id = $1 AND domain_id = $2
+    `, [complaintId, user.domain_id]);
+  } else {
+    result = await pool.query(`
+      SELECT id, student_id, domain_id, status, assigned_to, anonymous FROM complaints WHERE id = $1
+    `, [complaintId]);
+  }
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Whether the viewer must not learn who submitted the complaint.
+ * Sub-admins never see submitters; super admins only for non-anonymous ones.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} complaint - Complaint row with student_id and anonymous
+ * @returns {boolean}
+ */
+const hidesSubmitter = (user, complaint) => {
+  if (user.role === 'student') {
+    return false;
+  }
+  return user.role === 'sub_admin' || Boolean(complaint.anonymous);
+};
+
+/**
+ * User ID to record in audit_logs for an action on a complaint. Actions by
+ * the submitter of an anonymous complaint are logged without an actor so the
+ * audit trail cannot be used to identify them.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} complaint - Complaint row with student_id and anonymous
+ * @returns {number|null}
+ */
+const auditActorId = (user, complaint) => {
+  if (complaint.anonymous && complaint.student_id === user.id) {
+    return null;
+  }
+  return user.id;
+};
+
+module.exports = {
+  parseComplaintId,
+  findAccessibleComplaint,
+  hidesSubmitter,
+  auditActorId
+};
@@ -0,0 +1,77 @@
+// Complaint activity feed for live queue updates. Events are read from
+// audit_logs, so every instance (and every serverless invocation) sees the
+// same stream without shared in-memory state.
+const pool = require('./db');
+
+// Audit actions published to clients and the event type they map to
+const EVENT_TYPES = {
+  CREATE: 'complaint.created',
+  UPDATE: 'complaint.updated',
+  REOPEN: 'complaint.updated',
+  TRANSFER: 'complaint.transferred',
+  MERGED_INTO: 'complaint.merged',
+  MARK_SEEN: 'complaint.seen'
+};
+
+const MAX_BATCH = 100;
+
+/**
+ * ID of the most recent audit entry, used as the starting cursor
+ * @returns {Promise<number>}
+ */
+const latestEventId = async () => {
+  const result = await pool.query('SELECT COALESCE(MAX(id), 0) as id FROM audit_logs');
+  return parseInt(result.rows[0].id, 10);
+};
+
+/**
+ * Complaint events after a cursor, scoped like GET /api/complaints:
+ * students see their own complaints, sub_admins their domain (including
+ * complaints transferred out of it), super_admins everything.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {number} sinceId - Return events with a higher ID
+ * @returns {Promise<Array>} - Events in ascending order
+ */
+const fetchEvents = async (user, sinceId) => {
+  let scope = '';
+  const params = [Object.keys(EVENT_TYPES), sinceId, MAX_BATCH];
+
+  if (user.role === 'student') {
+    params.push(user.id);
+    scope = `AND c.student_id = $${params.length}`;
+  } else if (user.role === 'sub_admin') {
+    params.push(user.domain_id);
+    scope = `AND (c.domain_id = $${params.length}
+              OR (al.action = 'TRANSFER' AND (al.old_values->>'domain_id')::int = $${params.length}))`;
+  }
+
+  const result = await pool.query(`
+    SELECT al.id, al.action, al.resource_id as complaint_id, al.created_at,
+           c.status, c.domain_id, d.name as domain_name
+    FROM audit_logs al
+    JOIN complaints c ON al.resource_id = c.id
+    JOIN domains d ON c.domain_id = d.id
+    WHERE al.resource_type = 'complaint'
+      AND al.action = ANY($1)
+      AND al.id > $2
+      ${scope}
+    ORDER BY al.id ASC
+    LIMIT $3
+  `, params);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    type: EVENT_TYPES[row.action],
+    complaintId: row.complaint_id,
+    status: row.status,
+    domainId: row.domain_id,
+    domainName: row.domain_name,
+    createdAt: row.created_at
+  }));
+};
+
+module.exports = {
+  EVENT_TYPES,
+  latestEventId,
+  fetchEvents
+};
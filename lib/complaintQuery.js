@@ -0,0 +1,307 @@
+// Query builder for complaint listings. One builder serves every role; the
+// role only decides the visibility scope and which columns are returned.
+const { SLA_JOIN, SLA_COLUMNS } = require('./sla');
+const { normalizeTag } = require('./tags');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORT_COLUMNS = {
+  created_at: 'c.created_at',
+  updated_at: 'c.updated_at',
+  priority: "CASE c.priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END",
+  status: 'c.status',
+  resolution_due_at: 'resolution_due_at',
+  endorsements: 'endorsement_count',
+  relevance: 'search_rank'
+};
+
+// Highlight options for search snippets
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Columns visible to each role. Sub-admins never see the submitter and
+ * super admins only for non-anonymous complaints. Tags are internal to admins.
+ * @param {Object} user - Authenticated user
+ * @param {string[]} [extraColumns] - Additional expressions (e.g. search rank)
+ * @returns {string} - SELECT list
+ */
+const selectColumns = (user, extraColumns = []) => {
+  const columns = [
+    'c.id', 'c.title', 'c.description', 'c.status', 'c.priority', 'c.resolution_details',
+    'c.resolved_at', 'c.created_at', 'c.updated_at', 'c.admin_seen', 'c.admin_read_at', 'c.anonymous',
+    'd.name as domain_name', 'c.category_id', 'cat.name as category_name',
+    'a.name as assignee_name', 'c.merged_into',
+    '(SELECT COUNT(*) FROM complaint_followers f WHERE f.complaint_id = c.id) as follower_count',
+    '(SELECT COUNT(*) FROM complaints m WHERE m.merged_into = c.id) as merged_count',
+    '(SELECT COUNT(*) FROM complaint_endorsements e WHERE e.complaint_id = c.id) as endorsement_count'
+  ];
+
+  if (user.role !== 'student') {
+    columns.push(
+      'c.domain_id', 'c.assigned_to',
+      'ARRAY(SELECT t.tag FROM complaint_tags t WHERE t.complaint_id = c.id ORDER BY t.tag) as tags'
+    );
+  }
+
+  if (user.role === 'super_admin') {
+    columns.push(
+      'CASE WHEN c.anonymous THEN NULL ELSE u.name END as student_name',
+      'CASE WHEN c.anonymous THEN NULL ELSE u.email END as student_email',
+      'CASE WHEN c.anonymous THEN NULL ELSE u.student_id END as student_id'
+    );
+  }
+
+  columns.push(...extraColumns, SLA_COLUMNS);
+  return columns.join(',\n           ');
+};
+
+/**
+ * Build the list and count queries for GET /api/complaints
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} filters - Parsed query string
+ * @param {string} [filters.q] - Full-text search over title, description and resolution
+ * @param {string|string[]} [filters.status] - Status or comma separated statuses
+ * @param {string} [filters.priority] - Priority or comma separated priorities
+ * @param {number} [filters.domainId] - Domain ID
+ * @param {string} [filters.categoryId] - Category ID or comma separated IDs
+ * @param {string} [filters.tag] - Tag or comma separated tags, any of which must match (admins only)
+ * @param {string} [filters.from] - Created on or after (ISO date/time)
+ * @param {string} [filters.to] - Created on or before (ISO date/time, whole day for dates)
+ * @param {boolean} [filters.seen] - Seen / unseen by an admin
+ * @param {string} [filters.assignee] - 'me', 'unassigned' or a user ID (admins only)
+ * @param {string} [filters.sort] - Key of SORT_COLUMNS
+ * @param {string} [filters.order] - 'asc' or 'desc'
+ * @param {number} [filters.page] - 1-based page
+ * @param {number} [filters.limit] - Page size
+ * @returns {{query: string, params: Array, countQuery: string, countParams: Array,
+ *   categoryFacetQuery: string, tagFacetQuery: (string|null), page: number, limit: number}}
+ *   Facet queries count the filtered complaints per category and tag and take countParams.
+ */
+const buildComplaintListQuery = (user, filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Visibility scope, same as the single-complaint lookups
+  if (user.role === 'student') {
+    conditions.push(`c.student_id = ${addParam(user.id)}`);
+  } else if (user.role === 'sub_admin') {
+    conditions.push(`c.domain_id = ${addParam(user.domain_id)}`);
+  }
+
+  const extraColumns = [];
+
+  if (filters.q) {
+    const tsQuery = `websearch_to_tsquery('english', ${addParam(filters.q)})`;
+    conditions.push(`c.search_vector @@ ${tsQuery}`);
+    extraColumns.push(
+      `ts_rank_cd(c.search_vector, ${tsQuery}) as search_rank`,
+      `ts_headline('english', c.title, ${tsQuery}, '${HEADLINE_OPTIONS}') as title_highlight`,
+      `ts_headline('english', c.description || ' ' || COALESCE(c.resolution_details, ''), ${tsQuery}, '${HEADLINE_OPTIONS}') as snippet`
+    );
+  }
+
+  const toList = (value) => [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+
+  if (filters.status) {
+    conditions.push(`c.status = ANY(${addParam(toList(filters.status))})`);
+  }
+
+  if (filters.priority) {
+    conditions.push(`c.priority = ANY(${addParam(toList(filters.priority))})`);
+  }
+
+  if (filters.domainId) {
+    conditions.push(`c.domain_id = ${addParam(filters.domainId)}`);
+  }
+
+  if (filters.categoryId) {
+    conditions.push(`c.category_id = ANY(${addParam(toList(filters.categoryId).map(Number))}::int[])`);
+  }
+
+  if (filters.tag && user.role !== 'student') {
+    const tags = toList(filters.tag).map(normalizeTag).filter(Boolean);
+    conditions.push(`EXISTS (SELECT 1 FROM complaint_tags t WHERE t.complaint_id = c.id AND t.tag = ANY(${addParam(tags)}))`);
+  }
+
+  if (filters.from) {
+    conditions.push(`c.created_at >= ${addParam(filters.from)}`);
+  }
+
+  if (filters.to) {
+    conditions.push(DATE_ONLY.test(filters.to)
+      ? `c.created_at < ${addParam(filters.to)}::date + 1`
+      : `c.created_at <= ${addParam(filters.to)}`);
+  }
+
+  if (filters.seen !== undefined) {
+    conditions.push(`COALESCE(c.admin_seen, false) = ${addParam(filters.seen)}`);
+  }
+
+  if (filters.assignee && user.role !== 'student') {
+    if (filters.assignee === 'me') {
+      conditions.push(`c.assigned_to = ${addParam(user.id)}`);
+    } else if (filters.assignee === 'unassigned') {
+      conditions.push('c.assigned_to IS NULL');
+    } else {
+      conditions.push(`c.assigned_to = ${addParam(parseInt(filters.assignee, 10))}`);
+    }
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Search results default to best match first; relevance needs a query
+  const defaultSort = filters.q ? 'relevance' : 'created_at';
+  const sortKey = filters.sort === 'relevance' && !filters.q ? defaultSort : (filters.sort || defaultSort);
+  const sortColumn = SORT_COLUMNS[sortKey];
+  const sortOrder = filters.order === 'asc' ? 'ASC' : 'DESC';
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM complaints c
+    JOIN domains d ON c.domain_id = d.id
+    ${where}
+  `;
+  const countParams = [...params];
+
+  const categoryFacetQuery = `
+    SELECT cat.id, cat.name, COUNT(*)::int as count
+    FROM complaints c
+    LEFT JOIN complaint_categories cat ON c.category_id = cat.id
+    ${where}
+    GROUP BY cat.id, cat.name
+    ORDER BY count DESC, cat.name
+  `;
+
+  const tagFacetQuery = user.role === 'student' ? null : `
+    SELECT t.tag, COUNT(*)::int as count
+    FROM complaints c
+    JOIN complaint_tags t ON t.complaint_id = c.id
+    ${where}
+    GROUP BY t.tag
+    ORDER BY count DESC, t.tag
+    LIMIT 50
+  `;
+
+  const query = `
+    SELECT ${selectColumns(user, extraColumns)}
+    FROM complaints c
+    JOIN domains d ON c.domain_id = d.id
+    JOIN users u ON c.student_id = u.id
+    LEFT JOIN users a ON c.assigned_to = a.id
+    LEFT JOIN complaint_categories cat ON c.category_id = cat.id
+    ${SLA_JOIN}
+    ${where}
+    ORDER BY ${sortColumn} ${sortOrder} NULLS LAST, c.id ${sortOrder}
+    LIMIT ${addParam(limit)} OFFSET ${addParam((page - 1) * limit)}
+  `;
+
+  return { query, params, countQuery, countParams, categoryFacetQuery, tagFacetQuery, page, limit };
+};
+
+/**
+ * Build the list and count queries for the public board. Only resolved
+ * complaints are listed, and only fields that are safe to publish: never the
+ * description, the submitter or anything about admins.
+ * @param {Object} filters - Parsed query string
+ * @param {string} [filters.q] - Full-text search over title and resolution
+ * @param {number} [filters.domainId] - Domain ID
+ * @param {number} [filters.categoryId] - Category ID
+ * @param {string} [filters.from] - Resolved on or after (ISO date/time)
+ * @param {string} [filters.to] - Resolved on or before (ISO date/time, whole day for dates)
+ * @param {number} [filters.page] - 1-based page
+ * @param {number} [filters.limit] - Page size
+ * @returns {{query: string, params: Array, countQuery: string, countParams: Array, page: number, limit: number}}
+ */
+const buildPublicBoardQuery = (filters = {}) => {
+  // Deactivated domains are hidden from the public board
+  const conditions = ["c.status = 'resolved'", 'd.is_active = true'];
+  const params = [];
+
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const extraColumns = [];
+
+  if (filters.q) {
+    const tsQuery = `websearch_to_tsquery('english', ${addParam(filters.q)})`;
+    conditions.push(`c.public_search_vector @@ ${tsQuery}`);
+    extraColumns.push(
+      `ts_rank_cd(c.public_search_vector, ${tsQuery}) as search_rank`,
+      `ts_headline('english', c.title, ${tsQuery}, '${HEADLINE_OPTIONS}') as title_highlight`,
+      `ts_headline('english', COALESCE(c.resolution_details, ''), ${tsQuery}, '${HEADLINE_OPTIONS}') as snippet`
+    );
+  }
+
+  if (filters.domainId) {
+    conditions.push(`c.domain_id = ${addParam(filters.domainId)}`);
+  }
+
+  if (filters.categoryId) {
+    conditions.push(`c.category_id = ${addParam(filters.categoryId)}`);
+  }
+
+  if (filters.from) {
+    conditions.push(`c.resolved_at >= ${addParam(filters.from)}`);
+  }
+
+  if (filters.to) {
+    conditions.push(DATE_ONLY.test(filters.to)
+      ? `c.resolved_at < ${addParam(filters.to)}::date + 1`
+      : `c.resolved_at <= ${addParam(filters.to)}`);
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const orderBy = filters.q ? 'search_rank DESC, c.resolved_at DESC' : 'c.resolved_at DESC';
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM complaints c
+    JOIN domains d ON c.domain_id = d.id
+    ${where}
+  `;
+  const countParams = [...params];
+
+  const columns = [
+    'c.id', 'c.title', 'c.resolution_details', 'c.resolved_at',
+    'c.domain_id', 'd.name as domain_name', 'c.category_id', 'cat.name as category_name',
+    '(SELECT COUNT(*) FROM complaint_endorsements e WHERE e.complaint_id = c.id) as endorsement_count',
+    ...extraColumns
+  ];
+
+  const query = `
+    SELECT ${columns.join(',\n           ')}
+    FROM complaints c
+    JOIN domains d ON c.domain_id = d.id
+    LEFT JOIN complaint_categories cat ON c.category_id = cat.id
+    ${where}
+    ORDER BY ${orderBy}, c.id DESC
+    LIMIT ${addParam(limit)} OFFSET ${addParam((page - 1) * limit)}
+  `;
+
+  return { query, params, countQuery, countParams, page, limit };
+};
+
+module.exports = {
+  SORT_COLUMNS,
+  HEADLINE_OPTIONS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildComplaintListQuery,
+  buildPublicBoardQuery
+};
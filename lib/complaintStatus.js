@@ -0,0 +1,61 @@
+// Complaint status lifecycle
+
+const STATUSES = ['pending', 'in_progress', 'resolved', 'rejected', 'reopened', 'merged'];
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_progress: 'In Progress',
+  resolved: 'Resolved',
+  rejected: 'Rejected',
+  reopened: 'Reopened',
+  merged: 'Merged'
+};
+
+// Statuses an admin may move a complaint to from each status.
+// Closed complaints (resolved / rejected) can only be reopened by the student;
+// merged complaints follow their parent and never change status again.
+const TRANSITIONS = {
+  pending: ['in_progress', 'rejected'],
+  in_progress: ['resolved', 'rejected'],
+  reopened: ['in_progress', 'resolved', 'rejected'],
+  resolved: [],
+  rejected: [],
+  merged: []
+};
+
+const REOPENABLE_STATUSES = ['resolved', 'rejected'];
+
+// Days after closure during which the student may reopen a complaint
+const REOPEN_WINDOW_DAYS = parseInt(process.env.COMPLAINT_REOPEN_WINDOW_DAYS, 10) || 7;
+
+/**
+ * Statuses an admin may set next
+ * @param {string} currentStatus - Current complaint status
+ * @returns {string[]} - Allowed target statuses
+ */
+const allowedTransitions = (currentStatus) => TRANSITIONS[currentStatus] || [];
+
+/**
+ * Check whether an admin may move a complaint between two statuses
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (fromStatus, toStatus) => allowedTransitions(fromStatus).includes(toStatus);
+
+/**
+ * Human readable status name
+ * @param {string} status - Status value
+ * @returns {string}
+ */
+const statusLabel = (status) => STATUS_LABELS[status] || status;
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  REOPENABLE_STATUSES,
+  REOPEN_WINDOW_DAYS,
+  allowedTransitions,
+  canTransition,
+  statusLabel
+};
@@ -0,0 +1,61 @@
+// Similar complaint detection, used to catch duplicates at submission time
+const pool = require('./db');
+const { OPEN_STATUSES } = require('./sla');
+
+const SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.35;
+const MAX_CANDIDATES = 5;
+
+/**
+ * Find open complaints in a domain that look like the one being submitted.
+ * Titles are compared with trigram similarity; a full-text match of the new
+ * title against existing complaints adds to the score. Only fields that are
+ * safe to show another student are returned.
+ * @param {Object} complaint - { title, description, domainId }
+ * @param {number} userId - Submitting student, to flag their own complaints
+ * @returns {Promise<Array>} - Candidates, best match first
+ */
+const findSimilarComplaints = async ({ title, description = '', domainId }, userId) => {
+  const result = await pool.query(`
+    SELECT id, title, status, created_at, domain_name, is_own, follower_count,
+           endorsement_count, endorsed, ROUND(score::numeric, 2) as score
+    FROM (
+      SELECT c.id, c.title, c.status, c.created_at, d.name as domain_name,
+             c.student_id = $5 as is_own,
+             (SELECT COUNT(*) FROM complaint_followers f WHERE f.complaint_id = c.id) as follower_count,
+             (SELECT COUNT(*) FROM complaint_endorsements e WHERE e.complaint_id = c.id) as endorsement_count,
+             EXISTS (SELECT 1 FROM complaint_endorsements e WHERE e.complaint_id = c.id AND e.user_id = $5) as endorsed,
+             GREATEST(
+               similarity(c.title, $1),
+               similarity(c.title || ' ' || LEFT(c.description, 300), $1 || ' ' || LEFT($2, 300))
+             ) + CASE WHEN c.search_vector @@ plainto_tsquery('english', $1) THEN 0.2 ELSE 0 END as score
+      FROM complaints c
+      JOIN domains d ON c.domain_id = d.id
+      WHERE c.domain_id = $3 AND c.status = ANY($4) AND d.is_active = true
+    ) candidates
+    WHERE score >= $6
+    ORDER BY score DESC, created_at DESC
+    LIMIT $7
+  `, [title, description, domainId, OPEN_STATUSES, userId, SIMILARITY_THRESHOLD, MAX_CANDIDATES]);
+
+  return result.rows;
+};
+
+/**
+ * Whether a complaint is one the student would be offered for their draft:
+ * open, in the same domain, not their own and similar enough. Students can
+ * only act on other students' complaints they were shown this way.
+ * @param {number} complaintId - Complaint the student wants to act on
+ * @param {Object} draft - { title, description, domainId } they were checking
+ * @param {number} userId - Student
+ * @returns {Promise<boolean>}
+ */
+const isSimilarCandidate = async (complaintId, draft, userId) => {
+  const candidates = await findSimilarComplaints(draft, userId);
+  return candidates.some(candidate => candidate.id === complaintId && !candidate.is_own);
+};
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  findSimilarComplaints,
+  isSimilarCandidate
+};
@@ -0,0 +1,65 @@
+// Registration email rules and verification links. Verification tokens are
+// signed rather than stored; they carry the address they were issued for,
+// so a link stops working if the account's email changes.
+const jwt = require('jsonwebtoken');
+const { queueEmail } = require('./mail/outbox');
+
+// Comma separated; subdomains of an allowed domain are accepted too
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || 'jklu.edu.in')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+  .filter(Boolean);
+
+const VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS, 10) || 48;
+
+/**
+ * Whether self-registration is open to an email address
+ * @param {string} email - Normalised email address
+ * @returns {boolean}
+ */
+const isAllowedEmail = (email) => {
+  const domain = String(email).split('@').pop().toLowerCase();
+  return ALLOWED_EMAIL_DOMAINS.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
+/**
+ * Queue a verification email with a freshly signed link
+ * @param {{id: number, email: string, name: string}} user
+ */
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { verifyUserId: user.id, email: user.email, purpose: 'verify_email' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${VERIFICATION_HOURS}h` }
+  );
+
+  await queueEmail(user.email, 'verify_email', {
+    name: user.name,
+    token,
+    expiresHours: VERIFICATION_HOURS
+  });
+};
+
+/**
+ * Check a verification token's signature, purpose and expiry
+ * @param {string} token - Token from the verification link
+ * @returns {{userId: number, email: string}|null}
+ */
+const readVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'verify_email') {
+      return null;
+    }
+    return { userId: decoded.verifyUserId, email: decoded.email };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  ALLOWED_EMAIL_DOMAINS,
+  isAllowedEmail,
+  sendVerificationEmail,
+  readVerificationToken
+};
@@ -0,0 +1,107 @@
+// "Me too" endorsements. Students can signal that an open complaint affects
+// them too; only the count is ever exposed, never who endorsed.
+const pool = require('./db');
+const notifications = require('./notifications');
+
+// Endorsements at which a complaint is raised to high priority (0 disables)
+const PRIORITY_THRESHOLD = parseInt(process.env.ENDORSEMENT_PRIORITY_THRESHOLD, 10) || 0;
+
+const countEndorsements = async (complaintId, db = pool) => {
+  const result = await db.query(`
+    SELECT COUNT(*) as count FROM complaint_endorsements WHERE complaint_id = $1
+  `, [complaintId]);
+  return parseInt(result.rows[0].count, 10);
+};
+
+/**
+ * Raise a complaint to high priority once enough students endorsed it.
+ * Priority only ever goes up, so withdrawn endorsements do not lower it.
+ * @param {number} complaintId - Complaint ID
+ * @param {number} endorsementCount - Current endorsement count
+ * @returns {Promise<boolean>} - Whether the priority was raised
+ */
+const applyPriorityThreshold = async (complaintId, endorsementCount) => {
+  if (!PRIORITY_THRESHOLD || endorsementCount < PRIORITY_THRESHOLD) {
+    return false;
+  }
+
+  const result = await pool.query(`
+    UPDATE complaints c
+    SET priority = 'high', updated_at = CURRENT_TIMESTAMP
+    FROM (SELECT id, priority FROM complaints WHERE id = $1 FOR UPDATE) old
+    WHERE c.id = old.id AND old.priority <> 'high'
+    RETURNING old.priority as old_priority
+  `, [complaintId]);
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await pool.query(`
+    INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [null, 'ENDORSEMENT_PRIORITY', 'complaint', complaintId,
+      { priority: result.rows[0].old_priority },
+      { priority: 'high', endorsement_count: endorsementCount, threshold: PRIORITY_THRESHOLD }]);
+
+  await notifications.complaintPriorityRaised(complaintId, endorsementCount);
+  return true;
+};
+
+/**
+ * Record a student's endorsement
+ * @param {number} complaintId - Complaint ID
+ * @param {number} userId - Endorsing student
+ * @returns {Promise<{added: boolean, endorsementCount: number, priorityRaised: boolean}>}
+ */
+const endorseComplaint = async (complaintId, userId) => {
+  const result = await pool.query(`
+    INSERT INTO complaint_endorsements (complaint_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT (complaint_id, user_id) DO NOTHING
+    RETURNING created_at
+  `, [complaintId, userId]);
+
+  const endorsementCount = await countEndorsements(complaintId);
+  const added = result.rows.length > 0;
+  const priorityRaised = added && await applyPriorityThreshold(complaintId, endorsementCount);
+
+  return { added, endorsementCount, priorityRaised };
+};
+
+/**
+ * Re-check the threshold after endorsements were added in bulk, e.g. when
+ * duplicates are merged into a complaint
+ * @param {number} complaintId - Complaint ID
+ * @returns {Promise<{endorsementCount: number, priorityRaised: boolean}>}
+ */
+const reevaluatePriority = async (complaintId) => {
+  const endorsementCount = await countEndorsements(complaintId);
+  const priorityRaised = await applyPriorityThreshold(complaintId, endorsementCount);
+  return { endorsementCount, priorityRaised };
+};
+
+/**
+ * Withdraw a student's endorsement
+ * @param {number} complaintId - Complaint ID
+ * @param {number} userId - Student
+ * @returns {Promise<{removed: boolean, endorsementCount: number}>}
+ */
+const withdrawEndorsement = async (complaintId, userId) => {
+  const result = await pool.query(`
+    DELETE FROM complaint_endorsements WHERE complaint_id = $1 AND user_id = $2
+  `, [complaintId, userId]);
+
+  return {
+    removed: result.rowCount > 0,
+    endorsementCount: await countEndorsements(complaintId)
+  };
+};
+
+module.exports = {
+  PRIORITY_THRESHOLD,
+  countEndorsements,
+  endorseComplaint,
+  reevaluatePriority,
+  withdrawEndorsement
+};
@@ -0,0 +1,148 @@
+// Brute-force protection and login anomaly detection, kept in the database
+// so it survives restarts and is shared by every serverless instance
+const pool = require('./db');
+const notifications = require('./notifications');
+const { hashToken } = require('./utils');
+
+// Failed attempts before the first lockout; every further failure doubles it
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_HOURS = 24;
+
+/**
+ * Lockout length after a number of consecutive failures
+ * @param {number} failedAttempts
+ * @returns {number} - Minutes, 0 if below the threshold
+ */
+const lockoutMinutes = (failedAttempts) => {
+  if (failedAttempts < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+  return Math.min(LOCKOUT_BASE_MINUTES * Math.pow(2, failedAttempts - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MINUTES);
+};
+
+/**
+ * When the account is locked until, if it is locked right now
+ * @param {{locked_until: Date|null}} user - users row
+ * @returns {Date|null}
+ */
+const lockedUntil = (user) => {
+  return user.locked_until && new Date(user.locked_until) > new Date() ? new Date(user.locked_until) : null;
+};
+
+/**
+ * Count a failed password or 2FA attempt and lock the account once the
+ * threshold is reached. The owner is told about each lockout.
+ * @param {{id: number, email: string, name: string}} user
+ * @returns {Promise<{failedAttempts: number, lockedUntil: Date|null}>}
+ */
+const recordFailedLogin = async (user) => {
+  const result = await pool.query(`
+    UPDATE users
+    SET failed_login_count = CASE
+          WHEN last_failed_login_at IS NULL
+            OR last_failed_login_at < CURRENT_TIMESTAMP - make_interval(hours => $2)
+          THEN 1
+          ELSE failed_login_count + 1
+        END,
+        last_failed_login_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING failed_login_count
+  `, [user.id, FAILURE_WINDOW_HOURS]);
+
+  const failedAttempts = result.rows[0] ? result.rows[0].failed_login_count : 0;
+  const minutes = lockoutMinutes(failedAttempts);
+  if (minutes === 0) {
+    return { failedAttempts, lockedUntil: null };
+  }
+
+  const locked = await pool.query(`
+    UPDATE users SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $2)
+    WHERE id = $1
+    RETURNING locked_until
+  `, [user.id, minutes]);
+
+  const lockout = { failedAttempts, lockedUntil: locked.rows[0].locked_until };
+  await notifications.accountLocked(user, lockout);
+  return lockout;
+};
+
+/**
+ * Reset the failure count and lift any lockout
+ * @param {number} userId - User ID
+ * @param {Object} [db] - pg pool or client
+ */
+const clearFailedLogins = async (userId, db = pool) => {
+  await db.query(`
+    UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+    WHERE id = $1
+  `, [userId]);
+};
+
+/**
+ * Audit a failed login attempt
+ * @param {Object} req - Express request
+ * @param {number|null} userId - Account the attempt was for, if it exists
+ * @param {Object} details - Reason and lockout state
+ */
+const auditFailedLogin = async (req, userId, details) => {
+  await pool.query(`
+    INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values, ip_address, user_agent)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [userId, 'LOGIN_FAILED', 'user', userId, details, req.ip, req.get('User-Agent')]);
+};
+
+// Remember a fingerprint; reports whether it is new for an account that
+// already had others of the same kind (the very first login is not unusual)
+const rememberFingerprint = async (userId, kind, value) => {
+  if (!value) {
+    return false;
+  }
+
+  const result = await pool.query(`
+    WITH previous AS (
+      SELECT COUNT(*) as count FROM login_fingerprints WHERE user_id = $1 AND kind = $2
+    )
+    INSERT INTO login_fingerprints (user_id, kind, fingerprint, label)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id, kind, fingerprint) DO UPDATE SET last_seen_at = CURRENT_TIMESTAMP
+    RETURNING (xmax = 0) as inserted, (SELECT count FROM previous) as previous_count
+  `, [userId, kind, hashToken(value), value.slice(0, 500)]);
+
+  const row = result.rows[0];
+  return row.inserted && parseInt(row.previous_count, 10) > 0;
+};
+
+/**
+ * Bookkeeping after a completed login: clear failures and alert the user
+ * when the login came from an IP address or device not seen before
+ * @param {{id: number, email: string, name: string}} user
+ * @param {Object} client - Request details
+ * @param {string} client.ip - Client IP address
+ * @param {string} [client.userAgent] - Client User-Agent
+ * @returns {Promise<{newIp: boolean, newDevice: boolean}>}
+ */
+const recordSuccessfulLogin = async (user, { ip, userAgent }) => {
+  await clearFailedLogins(user.id);
+
+  const newIp = await rememberFingerprint(user.id, 'ip', ip);
+  const newDevice = await rememberFingerprint(user.id, 'device', userAgent);
+
+  if (newIp || newDevice) {
+    await notifications.newLoginDetected(user, { ip, userAgent, newIp, newDevice });
+  }
+
+  return { newIp, newDevice };
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  lockedUntil,
+  recordFailedLogin,
+  clearFailedLogins,
+  auditFailedLogin,
+  recordSuccessfulLogin
+};
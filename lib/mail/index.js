@@ -0,0 +1,62 @@
+// Pluggable mail delivery
+//
+// A transport exposes send({ from, to, subject, text, html }) -> Promise.
+// The transport is chosen with MAIL_TRANSPORT: "smtp", "file" or "console"
+// (the default in development). The file and console transports write whole
+// emails, reset and verification links included, to disk or the logs, so
+// production requires "smtp".
+const smtpTransport = require('./transports/smtp');
+const consoleTransport = require('./transports/console');
+const fileTransport = require('./transports/file');
+
+const transports = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport
+};
+
+const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
+const isProduction = process.env.NODE_ENV === 'production' || Boolean(isServerless);
+
+// Used in production when SMTP is not configured: every send fails, so the
+// outbox keeps retrying instead of printing the email anywhere
+const unconfiguredTransport = {
+  name: 'unconfigured',
+  send: async () => {
+    throw new Error('MAIL_TRANSPORT is not set to smtp');
+  }
+};
+
+const resolveTransport = () => {
+  const transportName = process.env.MAIL_TRANSPORT || (isProduction ? '' : 'console');
+
+  if (isProduction && transportName !== 'smtp') {
+    console.error('ERROR: MAIL_TRANSPORT=smtp is required in production; emails will not be sent');
+    if (!isServerless) {
+      process.exit(1);
+    }
+    return unconfiguredTransport;
+  }
+
+  if (!transports[transportName]) {
+    console.error(`ERROR: Unknown MAIL_TRANSPORT "${transportName}", falling back to console`);
+    return consoleTransport;
+  }
+
+  return transports[transportName];
+};
+
+const transport = resolveTransport();
+const defaultFrom = process.env.MAIL_FROM || 'JKLU Feedback System <no-reply@jklu.edu.in>';
+
+/**
+ * Send an email immediately through the configured transport.
+ * Most callers should queue through the outbox instead.
+ * @param {Object} message - { to, subject, text, html, from }
+ */
+const sendMail = (message) => transport.send({ from: defaultFrom, ...message });
+
+module.exports = {
+  sendMail,
+  transportName: transport.name
+};
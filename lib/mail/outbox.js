@@ -0,0 +1,116 @@
+// Durable email outbox. Emails are written to email_outbox first and sent
+// later, so a mail server failure never fails the request that caused it.
+const pool = require('../db');
+const { sendMail } = require('./index');
+const { renderTemplate } = require('./templates');
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const BATCH_SIZE = parseInt(process.env.MAIL_BATCH_SIZE, 10) || 50;
+
+// Rows stuck in "sending" this long (e.g. after a crash) are picked up again
+const STALE_LOCK_MINUTES = 10;
+
+// Templates whose body carries a live token. The rendered body is kept only
+// until the email is sent or given up on, so the token never stays at rest.
+const SENSITIVE_TEMPLATES = ['password_reset', 'verify_email'];
+
+// Set when an email is queued, so the next finished response flushes it
+let flushPending = false;
+
+/**
+ * Queue a templated email for each recipient
+ * @param {string|string[]} recipients - Email address(es)
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ * @param {Object} [db] - pg pool or client
+ */
+const queueEmail = async (recipients, template, data, db = pool) => {
+  const addresses = [...new Set([].concat(recipients).filter(Boolean))];
+  if (addresses.length === 0) {
+    return;
+  }
+
+  const { subject, text } = renderTemplate(template, data);
+
+  await db.query(`
+    INSERT INTO email_outbox (to_address, template, subject, body)
+    SELECT address, $2, $3, $4 FROM unnest($1::text[]) as address
+  `, [addresses, template, subject, text]);
+
+  flushPending = true;
+};
+
+/**
+ * Send due emails from the outbox. Failed sends are retried with
+ * exponential backoff up to MAX_ATTEMPTS.
+ * @param {number} [limit] - Maximum emails to send in this run
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+const processOutbox = async (limit = BATCH_SIZE) => {
+  const claimed = await pool.query(`
+    UPDATE email_outbox
+    SET status = 'sending', locked_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM email_outbox
+      WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+         OR (status = 'sending' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $2))
+      ORDER BY id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, to_address, subject, body, attempts
+  `, [limit, STALE_LOCK_MINUTES]);
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const email of claimed.rows) {
+    try {
+      await sendMail({ to: email.to_address, subject: email.subject, text: email.body });
+      await pool.query(`
+        UPDATE email_outbox
+        SET status = 'sent', sent_at = CURRENT_TIMESTAMP, attempts = attempts + 1, locked_at = NULL,
+            body = CASE WHEN template = ANY($2) THEN '' ELSE body END
+        WHERE id = $1
+      `, [email.id, SENSITIVE_TEMPLATES]);
+      sent++;
+    } catch (error) {
+      console.error(`Email ${email.id} delivery failed:`, error.message);
+      const attempts = email.attempts + 1;
+      await pool.query(`
+        UPDATE email_outbox
+        SET status = $3, attempts = $4, last_error = $5, locked_at = NULL,
+            next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $6),
+            body = CASE WHEN $3 = 'failed' AND template = ANY($2) THEN '' ELSE body END
+        WHERE id = $1
+      `, [email.id, SENSITIVE_TEMPLATES, attempts >= MAX_ATTEMPTS ? 'failed' : 'pending', attempts,
+          error.message.slice(0, 1000), Math.pow(2, attempts)]);
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Express middleware that sends queued emails once the response has gone
+ * out, so no request waits for the mail server. A serverless instance may be
+ * frozen right after responding; whatever it did not send is picked up by a
+ * later flush or the email-outbox cron.
+ */
+const flushOutboxAfterResponse = (req, res, next) => {
+  res.on('finish', () => {
+    if (!flushPending) {
+      return;
+    }
+    flushPending = false;
+    processOutbox().catch(error => console.error('Email outbox flush error:', error.message));
+  });
+  next();
+};
+
+module.exports = {
+  queueEmail,
+  processOutbox,
+  flushOutboxAfterResponse
+};
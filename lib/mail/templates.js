@@ -0,0 +1,132 @@
+// Email templates. Each template takes a data object and returns
+// { subject, text }. Templates must never include submitter identity.
+const { statusLabel } = require('../complaintStatus');
+
+const appUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const complaintLink = (complaintId) => `${appUrl()}/complaints/${complaintId}`;
+
+const footer = '\n\n-- \nJKLU Feedback System\nThis is an automated message, please do not reply.';
+
+const templates = {
+  complaint_created: (data) => ({
+    subject: `New complaint in ${data.domainName}: ${data.title}`,
+    text: `A new ${data.priority} priority complaint was submitted to ${data.domainName}.\n\n` +
+      `Title: ${data.title}\n\n` +
+      `Review it here: ${complaintLink(data.complaintId)}` + footer
+  }),
+
+  complaint_status_changed: (data) => ({
+    subject: `Your complaint is now ${statusLabel(data.status)}: ${data.title}`,
+    text: `The status of your complaint "${data.title}" changed from ` +
+      `${statusLabel(data.oldStatus)} to ${statusLabel(data.status)}.` +
+      (data.resolutionDetails ? `\n\nDetails: ${data.resolutionDetails}` : '') +
+      `\n\nView it here: ${complaintLink(data.complaintId)}` + footer
+  }),
+
+  complaint_resolved: (data) => ({
+    subject: `Your complaint has been resolved: ${data.title}`,
+    text: `Your complaint "${data.title}" has been marked as resolved.` +
+      (data.resolutionDetails ? `\n\nResolution: ${data.resolutionDetails}` : '') +
+      `\n\nIf the issue is not actually fixed you can reopen it here: ${complaintLink(data.complaintId)}` + footer
+  }),
+
+  // Sent to students following a complaint they do not own (joined, or had
+  // theirs merged into it), so it carries neither the resolution details nor
+  // a link to the complaint
+  complaint_followed_status_changed: (data) => ({
+    subject: `A complaint you follow is now ${statusLabel(data.status)}: ${data.title}`,
+    text: `The status of a complaint you follow, "${data.title}", changed from ` +
+      `${statusLabel(data.oldStatus)} to ${statusLabel(data.status)}.` + footer
+  }),
+
+  complaint_reopened: (data) => ({
+    subject: `Complaint reopened in ${data.domainName}: ${data.title}`,
+    text: `The student reopened a ${statusLabel(data.oldStatus).toLowerCase()} complaint in ${data.domainName}.\n\n` +
+      `Title: ${data.title}\n\nReview it here: ${complaintLink(data.complaintId)}` + footer
+  }),
+
+  complaint_transferred_student: (data) => ({
+    subject: `Your complaint was transferred to ${data.toDomainName}: ${data.title}`,
+    text: `Your complaint "${data.title}" was transferred from ${data.fromDomainName} ` +
+      `to ${data.toDomainName}.\n\nView it here: ${complaintLink(data.complaintId)}` + footer
+  }),
+
+  complaint_transferred_admin: (data) => ({
+    subject: `Complaint transferred to ${data.toDomainName}: ${data.title}`,
+    text: `A complaint was transferred from ${data.fromDomainName} to ${data.toDomainName}.\n\n` +
+      `Title: ${data.title}\nReason: ${data.reason}\n\n` +
+      `Review it here: ${complaintLink(data.complaintId)}` + footer
+  }),
+
+  complaint_merged: (data) => ({
+    subject: `Your complaint was merged: ${data.title}`,
+    text: `Your complaint "${data.title}" reports the same issue as "${data.parentTitle}" ` +
+      `and has been merged into it. You will be notified as that complaint progresses and when it is resolved.` +
+      (data.reason ? `\n\nNote from the admin: ${data.reason}` : '') +
+      `\n\nFollow its progress here: ${complaintLink(data.complaintId)}` + footer
+  }),
+
+  verify_email: (data) => ({
+    subject: 'Verify your email address',
+    text: `Hi ${data.name},\n\nPlease confirm your email address to activate your account. ` +
+      `This link is valid for ${data.expiresHours} hours:\n\n` +
+      `${appUrl()}/verify-email?token=${encodeURIComponent(data.token)}\n\n` +
+      'If you did not register, you can ignore this email.' + footer
+  }),
+
+  password_reset: (data) => ({
+    subject: 'Reset your password',
+    text: `Hi ${data.name},\n\nA password reset was requested for your account. ` +
+      `Use this link within ${data.expiresMinutes} minutes to choose a new password:\n\n` +
+      `${appUrl()}/reset-password?token=${encodeURIComponent(data.token)}\n\n` +
+      'The link works once. If you did not ask for a reset you can ignore this email; your password is unchanged.' + footer
+  }),
+
+  password_changed: (data) => ({
+    subject: 'Your password was changed',
+    text: `Hi ${data.name},\n\nThe password for your account was just reset and all devices were signed out. ` +
+      'If this was not you, contact the administrator immediately.' + footer
+  }),
+
+  new_login: (data) => ({
+    subject: 'New login to your account',
+    text: `Hi ${data.name},\n\nYour account was just logged into from a new ${data.what}.\n\n` +
+      `Time: ${data.time}\nIP address: ${data.ip || 'unknown'}\nDevice: ${data.userAgent || 'unknown'}\n\n` +
+      'If this was you, no action is needed. If not, reset your password right away ' +
+      `(${appUrl()}/forgot-password) and sign out your other sessions.` + footer
+  }),
+
+  account_locked: (data) => ({
+    subject: 'Your account was temporarily locked',
+    text: `Hi ${data.name},\n\nYour account was locked after ${data.failedAttempts} failed login attempts ` +
+      `and can be used again after ${data.lockedUntil}.\n\n` +
+      'If these attempts were not you, someone may be guessing your password. Consider resetting it ' +
+      `(${appUrl()}/forgot-password) once the lock expires.` + footer
+  }),
+
+  complaint_escalated: (data) => ({
+    subject: `SLA breach escalated: ${data.title}`,
+    text: `A complaint in ${data.domainName} missed its ${data.breach === 'first_response' ? 'first response' : 'resolution'} ` +
+      `target and was escalated to ${data.priority} priority (escalation level ${data.escalationLevel}).\n\n` +
+      `Title: ${data.title}\n\nReview it here: ${complaintLink(data.complaintId)}` + footer
+  })
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{subject: string, text: string}}
+ */
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  renderTemplate
+};
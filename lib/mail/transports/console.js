@@ -0,0 +1,17 @@
+// Console mail transport for local development
+const send = async ({ from, to, subject, text }) => {
+  console.log([
+    '---------- Email ----------',
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    '',
+    text,
+    '---------------------------'
+  ].join('\n'));
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
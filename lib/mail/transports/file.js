@@ -0,0 +1,16 @@
+// File mail transport: appends each email as a JSON line, for local testing
+const fs = require('fs');
+const path = require('path');
+
+const filePath = path.resolve(process.env.MAIL_FILE_PATH || path.join(process.cwd(), 'logs', 'mail.log'));
+
+const send = async ({ from, to, subject, text, html }) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const entry = JSON.stringify({ from, to, subject, text, html, sentAt: new Date().toISOString() });
+  await fs.promises.appendFile(filePath, entry + '\n');
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
@@ -0,0 +1,27 @@
+// SMTP mail transport (nodemailer)
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+const send = async ({ from, to, subject, text, html }) => {
+  await getTransporter().sendMail({ from, to, subject, text, html });
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,318 @@
+// Complaint and account security notifications, delivered by email (through
+// the outbox) and to the in-app inbox. Every function here is safe to call from a route
+// handler: failures are logged and never propagate to the request.
+const pool = require('./db');
+const { queueEmail } = require('./mail/outbox');
+const { statusLabel } = require('./complaintStatus');
+
+const safely = (label, handler) => async (...args) => {
+  try {
+    await handler(...args);
+  } catch (error) {
+    console.error(`Notification error (${label}):`, error);
+  }
+};
+
+/**
+ * Add an entry to each user's in-app inbox
+ * @param {number[]} userIds - Recipients
+ * @param {Object} notification - { type, title, body, complaintId }
+ */
+const addToInbox = async (userIds, { type, title, body, complaintId = null }) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return;
+  }
+
+  await pool.query(`
+    INSERT INTO notifications (user_id, type, title, body, complaint_id)
+    SELECT user_id, $2, $3, $4, $5 FROM unnest($1::int[]) as user_id
+  `, [ids, type, title, body, complaintId]);
+};
+
+const loadComplaint = async (complaintId) => {
+  const result = await pool.query(`
+    SELECT c.id, c.title, c.status, c.priority, c.resolution_details, c.domain_id,
+           d.name as domain_name,
+           CASE WHEN u.is_active THEN u.id END as student_user_id,
+           CASE WHEN u.is_active THEN u.email END as student_email
+    FROM complaints c
+    JOIN domains d ON c.domain_id = d.id
+    JOIN users u ON c.student_id = u.id
+    WHERE c.id = $1
+  `, [complaintId]);
+  return result.rows[0] || null;
+};
+
+const domainAdmins = async (domainId) => {
+  const result = await pool.query(`
+    SELECT id, email FROM users
+    WHERE role = 'sub_admin' AND domain_id = $1 AND is_active = true
+  `, [domainId]);
+  return result.rows;
+};
+
+// Students who joined the complaint instead of filing a duplicate
+const followers = async (complaintId) => {
+  const result = await pool.query(`
+    SELECT u.id, u.email FROM complaint_followers f
+    JOIN users u ON f.user_id = u.id
+    WHERE f.complaint_id = $1 AND u.is_active = true
+  `, [complaintId]);
+  return result.rows;
+};
+
+// Submitters of complaints merged into this one, who follow it from then on.
+// complaint_id is their own merged complaint, which they can still open.
+const mergedStudents = async (complaintId) => {
+  const result = await pool.query(`
+    SELECT u.id, u.email, MIN(m.id) as complaint_id FROM complaints m
+    JOIN users u ON m.student_id = u.id
+    WHERE m.merged_into = $1 AND u.is_active = true
+    GROUP BY u.id, u.email
+  `, [complaintId]);
+  return result.rows;
+};
+
+const superAdmins = async () => {
+  const result = await pool.query(`
+    SELECT id, email FROM users WHERE role = 'super_admin' AND is_active = true
+  `);
+  return result.rows;
+};
+
+const complaintCreated = safely('complaint created', async (complaintId) => {
+  const complaint = await loadComplaint(complaintId);
+  if (!complaint) return;
+
+  const admins = await domainAdmins(complaint.domain_id);
+
+  await queueEmail(admins.map(admin => admin.email), 'complaint_created', {
+    complaintId: complaint.id,
+    title: complaint.title,
+    priority: complaint.priority,
+    domainName: complaint.domain_name
+  });
+
+  await addToInbox(admins.map(admin => admin.id), {
+    type: 'complaint_created',
+    title: `New complaint in ${complaint.domain_name}`,
+    body: complaint.title,
+    complaintId: complaint.id
+  });
+});
+
+const complaintStatusChanged = safely('status changed', async (complaintId, oldStatus) => {
+  const complaint = await loadComplaint(complaintId);
+  if (!complaint) return;
+
+  const data = {
+    complaintId: complaint.id,
+    title: complaint.title,
+    oldStatus,
+    status: complaint.status,
+    resolutionDetails: complaint.resolution_details,
+    domainName: complaint.domain_name
+  };
+
+  if (complaint.status === 'reopened') {
+    const admins = await domainAdmins(complaint.domain_id);
+    await queueEmail(admins.map(admin => admin.email), 'complaint_reopened', data);
+    await addToInbox(admins.map(admin => admin.id), {
+      type: 'complaint_reopened',
+      title: 'Complaint reopened by student',
+      body: complaint.title,
+      complaintId: complaint.id
+    });
+    return;
+  }
+
+  const template = complaint.status === 'resolved' ? 'complaint_resolved' : 'complaint_status_changed';
+  await queueEmail(complaint.student_email, template, data);
+  await addToInbox([complaint.student_user_id], {
+    type: 'complaint_status_changed',
+    title: `Complaint ${statusLabel(complaint.status)}`,
+    body: complaint.title,
+    complaintId: complaint.id
+  });
+
+  // Followers cannot open the complaint: status only, no link
+  const merged = await mergedStudents(complaint.id);
+  const joined = (await followers(complaint.id))
+    .filter(user => !merged.some(student => student.id === user.id));
+  await queueEmail([...joined, ...merged].map(user => user.email), 'complaint_followed_status_changed', {
+    title: complaint.title,
+    oldStatus,
+    status: complaint.status
+  });
+
+  const inboxEntry = {
+    type: 'complaint_followed_status_changed',
+    title: `A complaint you follow is now ${statusLabel(complaint.status)}`,
+    body: complaint.title
+  };
+  await addToInbox(joined.map(user => user.id), inboxEntry);
+  for (const student of merged) {
+    await addToInbox([student.id], { ...inboxEntry, complaintId: student.complaint_id });
+  }
+});
+
+const complaintTransferred = safely('transferred', async (complaintId, fromDomainName, reason) => {
+  const complaint = await loadComplaint(complaintId);
+  if (!complaint) return;
+
+  const data = {
+    complaintId: complaint.id,
+    title: complaint.title,
+    fromDomainName,
+    toDomainName: complaint.domain_name,
+    reason
+  };
+  const admins = await domainAdmins(complaint.domain_id);
+
+  await queueEmail(complaint.student_email, 'complaint_transferred_student', data);
+  await queueEmail(admins.map(admin => admin.email), 'complaint_transferred_admin', data);
+
+  await addToInbox([complaint.student_user_id], {
+    type: 'complaint_transferred',
+    title: `Complaint transferred to ${complaint.domain_name}`,
+    body: complaint.title,
+    complaintId: complaint.id
+  });
+  await addToInbox(admins.map(admin => admin.id), {
+    type: 'complaint_transferred_in',
+    title: `Complaint transferred in from ${fromDomainName}`,
+    body: complaint.title,
+    complaintId: complaint.id
+  });
+});
+
+const complaintSeen = safely('marked seen', async (complaintId) => {
+  const complaint = await loadComplaint(complaintId);
+  if (!complaint) return;
+
+  await addToInbox([complaint.student_user_id], {
+    type: 'complaint_seen',
+    title: 'Your complaint has been seen by an admin',
+    body: complaint.title,
+    complaintId: complaint.id
+  });
+});
+
+const complaintsMerged = safely('merged', async (parentId, childIds, reason) => {
+  const parent = await loadComplaint(parentId);
+  if (!parent) return;
+
+  for (const childId of childIds) {
+    const complaint = await loadComplaint(childId);
+    if (!complaint) continue;
+
+    await queueEmail(complaint.student_email, 'complaint_merged', {
+      complaintId: complaint.id,
+      title: complaint.title,
+      parentTitle: parent.title,
+      reason
+    });
+    await addToInbox([complaint.student_user_id], {
+      type: 'complaint_merged',
+      title: 'Your complaint was merged into an existing one',
+      body: parent.title,
+      complaintId: complaint.id
+    });
+  }
+});
+
+const complaintPriorityRaised = safely('priority raised', async (complaintId, endorsementCount) => {
+  const complaint = await loadComplaint(complaintId);
+  if (!complaint) return;
+
+  const admins = await domainAdmins(complaint.domain_id);
+
+  await addToInbox(admins.map(admin => admin.id), {
+    type: 'complaint_priority_raised',
+    title: `Raised to high priority after ${endorsementCount} endorsements`,
+    body: complaint.title,
+    complaintId: complaint.id
+  });
+});
+
+const complaintEscalated = safely('escalated', async (escalation) => {
+  const complaint = await loadComplaint(escalation.id);
+  if (!complaint) return;
+
+  const admins = await superAdmins();
+
+  await queueEmail(admins.map(admin => admin.email), 'complaint_escalated', {
+    complaintId: complaint.id,
+    title: complaint.title,
+    domainName: complaint.domain_name,
+    breach: escalation.breach,
+    priority: escalation.priority,
+    escalationLevel: escalation.escalation_level
+  });
+
+  await addToInbox(admins.map(admin => admin.id), {
+    type: 'complaint_escalated',
+    title: `SLA breach escalated in ${complaint.domain_name}`,
+    body: complaint.title,
+    complaintId: complaint.id
+  });
+});
+
+/**
+ * Tell a user their account was just logged into from an IP address or
+ * device it has not used before
+ * @param {{id: number, email: string, name: string}} user
+ * @param {{ip: string, userAgent: string, newIp: boolean, newDevice: boolean}} login
+ */
+const newLoginDetected = safely('new login', async (user, login) => {
+  const what = [login.newIp && 'IP address', login.newDevice && 'device'].filter(Boolean).join(' and ');
+
+  await queueEmail(user.email, 'new_login', {
+    name: user.name,
+    what,
+    ip: login.ip,
+    userAgent: login.userAgent,
+    time: new Date().toUTCString()
+  });
+
+  await addToInbox([user.id], {
+    type: 'new_login',
+    title: `New login from an unrecognised ${what}`,
+    body: `IP address ${login.ip || 'unknown'}. If this was not you, reset your password.`
+  });
+});
+
+/**
+ * Tell a user their account was locked after repeated failed logins. The
+ * login response itself does not reveal the lockout.
+ * @param {{id: number, email: string, name: string}} user
+ * @param {{failedAttempts: number, lockedUntil: Date}} lockout
+ */
+const accountLocked = safely('account locked', async (user, lockout) => {
+  const until = new Date(lockout.lockedUntil).toUTCString();
+
+  await queueEmail(user.email, 'account_locked', {
+    name: user.name,
+    failedAttempts: lockout.failedAttempts,
+    lockedUntil: until
+  });
+
+  await addToInbox([user.id], {
+    type: 'account_locked',
+    title: 'Account temporarily locked',
+    body: `Too many failed login attempts. Login is blocked until ${until}.`
+  });
+});
+
+module.exports = {
+  complaintCreated,
+  complaintStatusChanged,
+  complaintTransferred,
+  complaintSeen,
+  complaintsMerged,
+  complaintPriorityRaised,
+  complaintEscalated,
+  newLoginDetected,
+  accountLocked
+};
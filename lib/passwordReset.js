@@ -0,0 +1,53 @@
+// Forgotten-password tokens. A token is random, stored only as a hash,
+// expires after RESET_TOKEN_MINUTES and can be used once.
+const crypto = require('crypto');
+const pool = require('./db');
+const { hashToken } = require('./utils');
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 60;
+
+/**
+ * Issue a reset token for a user. Earlier unused tokens stop working, so
+ * only the most recent email's link is valid.
+ * @param {number} userId - User ID
+ * @param {string} ip - IP address the reset was requested from
+ * @returns {Promise<string>} - The token to send to the user
+ */
+const createResetToken = async (userId, ip) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(`
+    UPDATE password_reset_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND used_at IS NULL
+  `, [userId]);
+
+  await pool.query(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+  `, [userId, hashToken(token), ip || null, RESET_TOKEN_MINUTES]);
+
+  return token;
+};
+
+/**
+ * Mark a reset token used
+ * @param {string} token - Token from the reset link
+ * @param {Object} db - pg client, so the password change can share the transaction
+ * @returns {Promise<number|null>} - The user ID, or null if the token is unknown, used or expired
+ */
+const consumeResetToken = async (token, db) => {
+  const result = await db.query(`
+    UPDATE password_reset_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(token)]);
+  return result.rows[0] ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  RESET_TOKEN_MINUTES,
+  createResetToken,
+  consumeResetToken
+};
@@ -0,0 +1,80 @@
+// Student satisfaction ratings on resolved complaints
+const pool = require('./db');
+
+// Ratings at or below this may reopen the complaint when the student asks to
+const REOPEN_RATING_THRESHOLD = parseInt(process.env.RATING_REOPEN_THRESHOLD, 10) || 2;
+
+const AGGREGATES = `
+  COUNT(r.id)::int as count,
+  ROUND(AVG(r.rating)::numeric, 2) as average,
+  COUNT(CASE WHEN r.rating <= $2 THEN 1 END)::int as low
+`;
+
+/**
+ * Admin credited with a complaint's resolution: the assignee, otherwise
+ * whoever last marked it resolved
+ * @param {number} complaintId - Complaint ID
+ * @returns {Promise<number|null>}
+ */
+const findHandlingAdmin = async (complaintId) => {
+  const result = await pool.query(`
+    SELECT COALESCE(c.assigned_to, (
+      SELECT al.user_id FROM audit_logs al
+      WHERE al.resource_type = 'complaint' AND al.resource_id = c.id
+        AND al.action = 'UPDATE' AND al.new_values->>'status' = 'resolved'
+      ORDER BY al.id DESC
+      LIMIT 1
+    )) as handled_by
+    FROM complaints c
+    WHERE c.id = $1
+  `, [complaintId]);
+  return result.rows[0] ? result.rows[0].handled_by : null;
+};
+
+/**
+ * Rating aggregates overall, per domain and per handling admin
+ * @param {number|null} [domainId] - Limit to one domain
+ * @returns {Promise<{overall: Object, byDomain: Array, byAdmin: Array}>}
+ */
+const ratingStats = async (domainId = null) => {
+  const params = [domainId, REOPEN_RATING_THRESHOLD];
+
+  const [overall, byDomain, byAdmin] = await Promise.all([
+    pool.query(`
+      SELECT ${AGGREGATES}
+      FROM complaint_ratings r
+      JOIN complaints c ON r.complaint_id = c.id
+      WHERE ($1::int IS NULL OR c.domain_id = $1)
+    `, params),
+    pool.query(`
+      SELECT d.id as domain_id, d.name as domain_name, ${AGGREGATES}
+      FROM complaint_ratings r
+      JOIN complaints c ON r.complaint_id = c.id
+      JOIN domains d ON c.domain_id = d.id
+      WHERE ($1::int IS NULL OR c.domain_id = $1)
+      GROUP BY d.id, d.name
+      ORDER BY d.name
+    `, params),
+    pool.query(`
+      SELECT u.id as admin_id, u.name as admin_name, ${AGGREGATES}
+      FROM complaint_ratings r
+      JOIN complaints c ON r.complaint_id = c.id
+      JOIN users u ON r.handled_by = u.id
+      WHERE ($1::int IS NULL OR c.domain_id = $1)
+      GROUP BY u.id, u.name
+      ORDER BY u.name
+    `, params)
+  ]);
+
+  return {
+    overall: overall.rows[0],
+    byDomain: byDomain.rows,
+    byAdmin: byAdmin.rows
+  };
+};
+
+module.exports = {
+  REOPEN_RATING_THRESHOLD,
+  findHandlingAdmin,
+  ratingStats
+};
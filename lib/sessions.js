@@ -0,0 +1,171 @@
+// Login sessions. Each login opens a session that issues short-lived access
+// tokens and a refresh token. Refresh tokens rotate on every use, and only
+// their hashes are stored.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('./db');
+const { hashToken } = require('./utils');
+
+// Not JWT_EXPIRE: that still holds the old day-long token lifetime in
+// existing deployments, which would keep revoked sessions usable
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const generateRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Sign an access token bound to a session
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session the token belongs to
+ * @returns {string}
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRE });
+};
+
+/**
+ * Open a session for a user who just authenticated
+ * @param {number} userId - User ID
+ * @param {Object} client - Request details
+ * @param {string} client.ip - Client IP address
+ * @param {string} [client.userAgent] - Client User-Agent
+ * @returns {Promise<{sessionId: number, token: string, refreshToken: string}>}
+ */
+const createSession = async (userId, { ip, userAgent }) => {
+  const refreshToken = generateRefreshToken();
+
+  const result = await pool.query(`
+    INSERT INTO sessions (user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+    RETURNING id
+  `, [userId, hashToken(refreshToken), ip || null, userAgent || null, REFRESH_TOKEN_DAYS]);
+
+  const sessionId = result.rows[0].id;
+  return { sessionId, token: signAccessToken(userId, sessionId), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting a token that was already rotated away means it leaked, so the
+ * whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} client - Request details
+ * @param {string} client.ip - Client IP address
+ * @param {string} [client.userAgent] - Client User-Agent
+ * @returns {Promise<{reused: boolean, userId: number, sessionId: number, token?: string, refreshToken?: string}|null>}
+ *   null when the token is unknown, expired or revoked
+ */
+const rotateSession = async (refreshToken, { ip, userAgent }) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  const rotated = await pool.query(`
+    UPDATE sessions s
+    SET refresh_token_hash = $2,
+        previous_token_hash = s.refresh_token_hash,
+        last_used_at = CURRENT_TIMESTAMP,
+        expires_at = CURRENT_TIMESTAMP + make_interval(days => $3),
+        ip_address = $4,
+        user_agent = $5
+    FROM users u
+    WHERE s.refresh_token_hash = $1
+      AND s.user_id = u.id AND u.is_active = true
+      AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+    RETURNING s.id, s.user_id
+  `, [tokenHash, hashToken(nextRefreshToken), REFRESH_TOKEN_DAYS, ip || null, userAgent || null]);
+
+  if (rotated.rows.length > 0) {
+    const { id, user_id: userId } = rotated.rows[0];
+    return {
+      reused: false,
+      userId,
+      sessionId: id,
+      token: signAccessToken(userId, id),
+      refreshToken: nextRefreshToken
+    };
+  }
+
+  const reused = await pool.query(`
+    UPDATE sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'token_reuse'
+    WHERE previous_token_hash = $1 AND revoked_at IS NULL
+    RETURNING id, user_id
+  `, [tokenHash]);
+
+  if (reused.rows.length > 0) {
+    return { reused: true, userId: reused.rows[0].user_id, sessionId: reused.rows[0].id };
+  }
+
+  return null;
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {string} reason - Stored revocation reason
+ * @returns {Promise<{id: number, user_id: number}|null>} - The revoked session
+ */
+const revokeSessionByToken = async (refreshToken, reason) => {
+  const result = await pool.query(`
+    UPDATE sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+    RETURNING id, user_id
+  `, [hashToken(refreshToken), reason]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {number} sessionId - Session ID
+ * @param {number} userId - Owner; sessions of other users are never touched
+ * @param {string} reason - Stored revocation reason
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, userId, reason) => {
+  const result = await pool.query(`
+    UPDATE sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+  `, [sessionId, userId, reason]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {number} userId - User ID
+ * @param {string} reason - Stored revocation reason
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason) => {
+  const result = await pool.query(`
+    UPDATE sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId, reason]);
+  return result.rowCount;
+};
+
+/**
+ * A user's sessions that can still be refreshed, most recently used first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>}
+ */
+const listActiveSessions = async (userId) => {
+  const result = await pool.query(`
+    SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return result.rows;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+};
@@ -0,0 +1,137 @@
+// Service level targets and escalation of stale complaints
+const pool = require('./db');
+const notifications = require('./notifications');
+
+const OPEN_STATUSES = ['pending', 'in_progress', 'reopened'];
+const PRIORITY_ORDER = ['low', 'medium', 'high'];
+
+// Minimum hours between two escalations of the same complaint
+const ESCALATION_INTERVAL_HOURS = parseInt(process.env.SLA_ESCALATION_INTERVAL_HOURS, 10) || 24;
+
+// Picks the domain-specific policy for the priority the complaint was
+// submitted with, falling back to the default policy (domain_id IS NULL).
+// Escalation raises c.priority but must not shorten the target it missed.
+// Expects complaints aliased as c.
+const SLA_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT sp.first_response_hours, sp.resolution_hours
+    FROM sla_policies sp
+    WHERE sp.priority = c.sla_priority AND (sp.domain_id = c.domain_id OR sp.domain_id IS NULL)
+    ORDER BY sp.domain_id NULLS LAST
+    LIMIT 1
+  ) sla ON true
+`;
+
+// The clock starts at submission and restarts when a complaint is reopened
+const RESPONSE_DUE = 'c.sla_started_at + make_interval(hours => sla.first_response_hours)';
+const RESOLUTION_DUE = 'c.sla_started_at + make_interval(hours => sla.resolution_hours)';
+
+// Which target an open complaint has missed, if any
+const BREACH_REASON = `
+  CASE
+    WHEN c.first_response_at IS NULL AND CURRENT_TIMESTAMP > ${RESPONSE_DUE} THEN 'first_response'
+    WHEN CURRENT_TIMESTAMP > ${RESOLUTION_DUE} THEN 'resolution'
+  END
+`;
+
+// SLA fields added to complaint payloads (requires SLA_JOIN)
+const SLA_COLUMNS = `
+  c.first_response_at, c.sla_breached_at, c.escalation_level, c.escalated_at,
+  ${RESPONSE_DUE} as response_due_at,
+  ${RESOLUTION_DUE} as resolution_due_at,
+  CASE
+    WHEN sla.resolution_hours IS NULL THEN NULL
+    WHEN c.status IN ('resolved', 'rejected', 'merged') THEN
+      CASE WHEN COALESCE(c.closed_at, c.resolved_at, c.updated_at) <= ${RESOLUTION_DUE}
+        THEN 'met' ELSE 'breached' END
+    WHEN ${BREACH_REASON} IS NOT NULL THEN 'breached'
+    ELSE 'on_track'
+  END as sla_status
+`;
+
+/**
+ * Next priority up, capped at the highest
+ * @param {string} priority - Current priority
+ * @returns {string}
+ */
+const nextPriority = (priority) => {
+  const index = PRIORITY_ORDER.indexOf(priority);
+  return PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)] || 'high';
+};
+
+/**
+ * Flag and escalate open complaints that missed their SLA. Each escalation
+ * bumps the priority one level, is recorded in audit_logs and emailed to the
+ * super admins. A complaint is escalated again only after
+ * ESCALATION_INTERVAL_HOURS. Due dates stay those of the submitted priority.
+ * @returns {Promise<Array>} - Escalated complaints
+ */
+const runEscalation = async () => {
+  const breaches = await pool.query(`
+    SELECT * FROM (
+      SELECT c.id, c.title, c.domain_id, c.priority, c.escalation_level,
+             ${BREACH_REASON} as breach_reason
+      FROM complaints c
+      ${SLA_JOIN}
+      WHERE c.status = ANY($1)
+        AND (c.escalated_at IS NULL OR c.escalated_at < CURRENT_TIMESTAMP - make_interval(hours => $2))
+    ) candidates
+    WHERE breach_reason IS NOT NULL
+    ORDER BY id
+  `, [OPEN_STATUSES, ESCALATION_INTERVAL_HOURS]);
+
+  const escalated = [];
+
+  for (const complaint of breaches.rows) {
+    const newPriority = nextPriority(complaint.priority);
+
+    // Re-check the interval so overlapping runs don't escalate twice
+    const updateResult = await pool.query(`
+      UPDATE complaints
+      SET priority = $1,
+          escalation_level = escalation_level + 1,
+          escalated_at = CURRENT_TIMESTAMP,
+          sla_breached_at = COALESCE(sla_breached_at, CURRENT_TIMESTAMP)
+      WHERE id = $2
+        AND (escalated_at IS NULL OR escalated_at < CURRENT_TIMESTAMP - make_interval(hours => $3))
+      RETURNING id, priority, escalation_level
+    `, [newPriority, complaint.id, ESCALATION_INTERVAL_HOURS]);
+
+    if (updateResult.rows.length === 0) {
+      continue;
+    }
+
+    const updated = updateResult.rows[0];
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [null, 'SLA_ESCALATE', 'complaint', complaint.id,
+        { priority: complaint.priority, escalation_level: complaint.escalation_level },
+        { priority: updated.priority, escalation_level: updated.escalation_level, breach: complaint.breach_reason }]);
+
+    const escalation = {
+      id: complaint.id,
+      title: complaint.title,
+      domain_id: complaint.domain_id,
+      breach: complaint.breach_reason,
+      old_priority: complaint.priority,
+      priority: updated.priority,
+      escalation_level: updated.escalation_level
+    };
+
+    await notifications.complaintEscalated(escalation);
+    escalated.push(escalation);
+  }
+
+  return escalated;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  PRIORITY_ORDER,
+  SLA_JOIN,
+  SLA_COLUMNS,
+  BREACH_REASON,
+  runEscalation
+};
@@ -0,0 +1,21 @@
+// Pluggable storage for complaint attachments
+//
+// A backend exposes:
+//   save(key, buffer)        -> Promise<string>    stores the file under key
+//   createReadStream(key)    -> Promise<Readable>  opens the file for download
+//   remove(key)              -> Promise<void>      deletes the file (missing files are ignored)
+//
+// The backend is chosen with STORAGE_DRIVER (defaults to "local").
+const localStorage = require('./local');
+
+const drivers = {
+  local: localStorage
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+
+if (!drivers[driverName]) {
+  console.error(`ERROR: Unknown STORAGE_DRIVER "${driverName}", falling back to local storage`);
+}
+
+module.exports = drivers[driverName] || localStorage;
@@ -0,0 +1,55 @@
+// Local disk storage backend for complaint attachments
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+// Serverless functions can only write to the temp directory
+const baseDir = path.resolve(
+  process.env.UPLOAD_DIR ||
+  (isServerless ? path.join(os.tmpdir(), 'uploads') : path.join(process.cwd(), 'uploads'))
+);
+
+/**
+ * Resolve a storage key to an absolute path inside the upload directory
+ * @param {string} key - Storage key returned by save()
+ * @returns {string} - Absolute file path
+ */
+const resolveKey = (key) => {
+  const filePath = path.resolve(baseDir, key);
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  return key;
+};
+
+const createReadStream = async (key) => {
+  const filePath = resolveKey(key);
+  await fs.promises.access(filePath, fs.constants.R_OK);
+  return fs.createReadStream(filePath);
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  name: 'local',
+  save,
+  createReadStream,
+  remove
+};
@@ -0,0 +1,28 @@
+// Free-form admin tags on complaints. Tags are stored normalised so that
+// "Wi-Fi", "wi-fi " and "WI-FI" are the same tag.
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS_PER_COMPLAINT = 10;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]*$/;
+
+/**
+ * Normalise a tag: lower case, trimmed, inner whitespace collapsed
+ * @param {string} tag - Raw tag
+ * @returns {string|null} - Normalised tag, or null if it is not a valid tag
+ */
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  const normalized = tag.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!normalized || normalized.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(normalized)) {
+    return null;
+  }
+  return normalized;
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_COMPLAINT,
+  normalizeTag
+};
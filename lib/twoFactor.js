@@ -0,0 +1,234 @@
+// Two-factor authentication: TOTP enrollment, code checks and one-time
+// recovery codes. Secrets are encrypted at rest with AES-256-GCM.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('./db');
+const totp = require('./totp');
+const { hashToken } = require('./utils');
+
+// When enabled, sub_admin and super_admin accounts must set up 2FA before
+// they can finish logging in
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
+const ADMIN_ROLES = ['sub_admin', 'super_admin'];
+
+const ISSUER = process.env.TOTP_ISSUER || 'JKLU Feedback System';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are compared case-insensitively and without the dash
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const isTwoFactorRequired = (user) => REQUIRE_ADMIN_2FA && ADMIN_ROLES.includes(user.role);
+
+/**
+ * Sign a short-lived token for the second login step
+ * @param {number} userId - User who passed the password check
+ * @param {'2fa_login'|'2fa_setup'} purpose - Enter a code, or enroll first
+ * @returns {string}
+ */
+const signChallenge = (userId, purpose) => {
+  return jwt.sign({ challengeUserId: userId, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRE });
+};
+
+/**
+ * Read a challenge token
+ * @param {string} token - Challenge token from the client
+ * @param {'2fa_login'|'2fa_setup'} purpose - Expected purpose
+ * @returns {number|null} - The user ID, or null if invalid or expired
+ */
+const readChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.challengeUserId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Start enrollment with a new secret. Calling it again replaces a pending
+ * secret that was never confirmed.
+ * @param {{id: number, email: string}} user
+ * @returns {Promise<{secret: string, otpauthUrl: string}|null>} - null if 2FA is already enabled
+ */
+const beginEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+
+  const result = await pool.query(`
+    UPDATE users
+    SET totp_secret = $2, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND totp_enabled_at IS NULL
+  `, [user.id, encryptSecret(secret)]);
+
+  if (result.rowCount === 0) {
+    return null;
+  }
+
+  return {
+    secret,
+    otpauthUrl: totp.otpauthUrl({ secret, accountName: user.email, issuer: ISSUER })
+  };
+};
+
+/**
+ * Check a TOTP code for a user and remember its time step so it cannot be
+ * replayed
+ * @param {number} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @param {Object} [options]
+ * @param {boolean} [options.pending] - Check the unconfirmed enrollment secret
+ * @returns {Promise<boolean>}
+ */
+const verifyTotp = async (userId, code, { pending = false } = {}) => {
+  const result = await pool.query(`
+    SELECT totp_secret, totp_last_step FROM users
+    WHERE id = $1 AND totp_secret IS NOT NULL AND (totp_enabled_at IS NULL) = $2
+  `, [userId, pending]);
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const { totp_secret: storedSecret, totp_last_step: lastStep } = result.rows[0];
+  const step = totp.verifyCode(decryptSecret(storedSecret), code,
+    lastStep === null ? -1 : parseInt(lastStep, 10));
+  if (step === null) {
+    return false;
+  }
+
+  // Guarded so two requests racing with the same code cannot both succeed
+  const claimed = await pool.query(`
+    UPDATE users SET totp_last_step = $2
+    WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+  `, [userId, step]);
+  return claimed.rowCount > 0;
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {number} userId - User ID
+ * @param {Object} [db] - pg pool or client
+ * @returns {Promise<string[]>} - The new codes, shown to the user once
+ */
+const generateRecoveryCodes = async (userId, db = pool) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(`
+    INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+    SELECT $1, code_hash FROM unnest($2::text[]) as code_hash
+  `, [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]);
+
+  return codes;
+};
+
+/**
+ * Confirm enrollment with a code from the new secret
+ * @param {number} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]|null>} - Recovery codes, or null if the code is wrong
+ */
+const confirmEnrollment = async (userId, code) => {
+  if (!(await verifyTotp(userId, code, { pending: true }))) {
+    return null;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [userId]);
+    const codes = await generateRecoveryCodes(userId, client);
+    await client.query('COMMIT');
+    return codes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Use up a recovery code
+ * @param {number} userId - User ID
+ * @param {string} code - Recovery code as entered
+ * @returns {Promise<boolean>}
+ */
+const useRecoveryCode = async (userId, code) => {
+  const result = await pool.query(`
+    UPDATE two_factor_recovery_codes
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+  `, [userId, hashToken(normalizeRecoveryCode(code))]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Turn 2FA off and discard the secret and recovery codes
+ * @param {number} userId - User ID
+ */
+const disableTwoFactor = async (userId) => {
+  await pool.query(`
+    UPDATE users
+    SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId]);
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+/**
+ * @param {number} userId - User ID
+ * @returns {Promise<{enabled: boolean, enabledAt: Date|null, recoveryCodesRemaining: number}>}
+ */
+const twoFactorStatus = async (userId) => {
+  const result = await pool.query(`
+    SELECT u.totp_enabled_at,
+           (SELECT COUNT(*) FROM two_factor_recovery_codes r
+            WHERE r.user_id = u.id AND r.used_at IS NULL)::int as recovery_codes_remaining
+    FROM users u WHERE u.id = $1
+  `, [userId]);
+  const row = result.rows[0] || {};
+  return {
+    enabled: !!row.totp_enabled_at,
+    enabledAt: row.totp_enabled_at || null,
+    recoveryCodesRemaining: row.recovery_codes_remaining || 0
+  };
+};
+
+module.exports = {
+  REQUIRE_ADMIN_2FA,
+  isTwoFactorRequired,
+  signChallenge,
+  readChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  verifyTotp,
+  useRecoveryCode,
+  generateRecoveryCodes,
+  disableTwoFactor,
+  twoFactorStatus
+};
@@ -1,4 +1,5 @@
 // Utility functions for the backend
+const crypto = require('crypto');
 
 /**
  * Convert snake_case object keys to camelCase
@@ -18,7 +19,8 @@ function convertKeysToCamelCase(obj) {
     return obj.map(item => convertKeysToCamelCase(item));
   }
 
-  if (typeof obj !== 'object') {
+  // Dates (e.g. TIMESTAMP columns) have no own keys and must pass through
+  if (typeof obj !== 'object' || obj instanceof Date) {
     return obj;
   }
 
@@ -32,8 +34,19 @@ function convertKeysToCamelCase(obj) {
   return converted;
 }
 
+/**
+ * Hash a random bearer token (refresh, reset, ...) for storage. The tokens
+ * carry enough entropy that a fast unsalted hash is sufficient.
+ * @param {string} token - Token as given to the client
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 module.exports = {
   convertKeysToCamelCase,
-  snakeToCamel
+  snakeToCamel,
+  hashToken
 };
 
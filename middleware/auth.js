@@ -1,6 +1,54 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const pool = require('../lib/db');
 
+/**
+ * Load a user together with whether the given session is still active
+ * @param {number} userId - User ID from the token
+ * @param {number} sessionId - Session ID from the token
+ * @returns {Promise<Object|null>} - User row with session_active, or null
+ */
+const findSessionUser = async (userId, sessionId) => {
+  const result = await pool.query(`
+    SELECT u.id, u.email, u.role, u.name, u.student_id, u.domain_id, u.is_active, u.email_verified_at,
+           EXISTS (
+             SELECT 1 FROM sessions s
+             WHERE s.id = $2 AND s.user_id = u.id AND s.revoked_at IS NULL
+           ) as session_active
+    FROM users u WHERE u.id = $1
+  `, [userId, sessionId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Check the user and session named by a token and attach them to the request
+ * @returns {Promise<boolean>} - false if a 401 response was sent
+ */
+const attachSessionUser = async (req, res, userId, sessionId) => {
+  // Tokens issued before sessions existed carry no sessionId and could
+  // never be revoked, so they are no longer accepted
+  if (!sessionId) {
+    res.status(401).json({ error: 'Session has expired. Please log in again.' });
+    return false;
+  }
+
+  const row = await findSessionUser(userId, sessionId);
+  if (!row || !row.is_active) {
+    res.status(401).json({ error: 'Invalid token or user inactive' });
+    return false;
+  }
+
+  const { session_active: sessionActive, ...user } = row;
+  if (!sessionActive) {
+    res.status(401).json({ error: 'Session has been revoked' });
+    return false;
+  }
+
+  req.user = user;
+  req.sessionId = sessionId;
+  return true;
+};
+
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -11,18 +59,46 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const userQuery = await pool.query(
-      'SELECT id, email, role, name, student_id, domain_id, is_active FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-
-    if (userQuery.rows.length === 0 || !userQuery.rows[0].is_active) {
-      return res.status(401).json({ error: 'Invalid token or user inactive' });
+
+    if (await attachSessionUser(req, res, decoded.userId, decoded.sessionId)) {
+      next();
     }
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+};
 
-    req.user = userQuery.rows[0];
-    next();
+/**
+ * Issue a short-lived ticket for opening an event stream. Browsers'
+ * EventSource cannot send an Authorization header, so the stream accepts
+ * this ticket in the query string instead of the long-lived access token.
+ * @param {number} userId - User the ticket is for
+ * @param {number} sessionId - Session the ticket was requested from
+ * @returns {string} - Signed ticket
+ */
+const generateStreamTicket = (userId, sessionId) => {
+  return jwt.sign({ streamUserId: userId, sessionId, purpose: 'stream' }, process.env.JWT_SECRET, { expiresIn: '60s' });
+};
+
+/**
+ * Authenticate with the Authorization header, or with a stream ticket
+ * passed as ?ticket= for EventSource clients. Either way the session must
+ * still be active.
+ */
+const authenticateStream = async (req, res, next) => {
+  if (req.headers['authorization'] || !req.query.ticket) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.ticket, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'stream') {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    if (await attachSessionUser(req, res, decoded.streamUserId, decoded.sessionId)) {
+      next();
+    }
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
@@ -42,14 +118,51 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Block accounts that have not confirmed their email address yet
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.email_verified_at) {
+    return res.status(403).json({ error: 'Please verify your email address first', verificationRequired: true });
+  }
+  next();
+};
+
 const requireSuperAdmin = requireRole(['super_admin']);
 const requireSubAdmin = requireRole(['sub_admin', 'super_admin']);
 const requireStudent = requireRole(['student', 'sub_admin', 'super_admin']);
 
+/**
+ * Authenticate scheduled job calls. Vercel Cron sends
+ * "Authorization: Bearer <CRON_SECRET>"; a logged-in super admin may also
+ * trigger the job manually with their own token.
+ */
+const authenticateCron = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  const secret = process.env.CRON_SECRET;
+
+  if (secret && token) {
+    const provided = Buffer.from(token);
+    const expected = Buffer.from(secret);
+    if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+      req.cronJob = true;
+      return next();
+    }
+  }
+
+  authenticateToken(req, res, () => requireSuperAdmin(req, res, next));
+};
+
 module.exports = {
   authenticateToken,
   requireRole,
   requireSuperAdmin,
   requireSubAdmin,
-  requireStudent
+  requireStudent,
+  requireVerifiedEmail,
+  authenticateCron,
+  authenticateStream,
+  generateStreamTicket,
+  findSessionUser
 };
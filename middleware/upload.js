@@ -0,0 +1,89 @@
+const multer = require('multer');
+const { sanitizeRequestInputs, detectSQLInjection } = require('./security');
+
+const MAX_FILE_SIZE = (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 5) * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5;
+
+// Allowed attachment types and the leading bytes each file must start with
+const ALLOWED_TYPES = {
+  'image/jpeg': { extension: '.jpg', signatures: [[0xFF, 0xD8, 0xFF]] },
+  'image/png': { extension: '.png', signatures: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]] },
+  'image/webp': { extension: '.webp', signatures: [[0x52, 0x49, 0x46, 0x46]] },
+  'application/pdf': { extension: '.pdf', signatures: [[0x25, 0x50, 0x44, 0x46]] }
+};
+
+/**
+ * Check that a file's content matches its declared MIME type
+ * @param {Object} file - Multer file object (memory storage)
+ * @returns {boolean} - True if the file starts with a known signature
+ */
+const matchesSignature = (file) => {
+  const type = ALLOWED_TYPES[file.mimetype];
+  if (!type || !file.buffer) {
+    return false;
+  }
+  return type.signatures.some(signature =>
+    signature.every((byte, index) => file.buffer[index] === byte)
+  );
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+/**
+ * Middleware to accept attachments from a multipart request.
+ * Non-multipart requests pass through untouched. Text fields in the
+ * multipart body are sanitized the same way JSON bodies are.
+ * @param {string} fieldName - Form field that carries the files
+ */
+const handleAttachments = (fieldName = 'attachments') => {
+  const parse = upload.array(fieldName, MAX_FILES);
+
+  return (req, res, next) => {
+    parse(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ error: `Attachments must be smaller than ${MAX_FILE_SIZE / (1024 * 1024)}MB` });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT') {
+          return res.status(400).json({ error: `A maximum of ${MAX_FILES} attachments is allowed` });
+        }
+        return res.status(400).json({ error: err.message || 'Invalid attachment' });
+      }
+      if (err) {
+        return next(err);
+      }
+
+      const files = req.files || [];
+      const invalid = files.find(file => !matchesSignature(file));
+      if (invalid) {
+        return res.status(400).json({ error: `File ${invalid.originalname} does not match its declared type` });
+      }
+
+      // Multer builds req.body without a prototype; copy it so the security
+      // middleware can walk it like a JSON body
+      req.body = { ...req.body };
+      sanitizeRequestInputs(req, res, () => detectSQLInjection(req, res, next));
+    });
+  };
+};
+
+module.exports = {
+  handleAttachments,
+  ALLOWED_TYPES,
+  MAX_FILE_SIZE,
+  MAX_FILES
+};
@@ -0,0 +1,116 @@
+// Complaint workflow: anonymous submission, reopening, assignment,
+// attachment ownership, message threads and identity reveal requests
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE complaints
+      ADD COLUMN IF NOT EXISTS anonymous BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS reopen_count INTEGER NOT NULL DEFAULT 0
+  `);
+
+  await client.query(`
+    UPDATE complaints
+    SET closed_at = COALESCE(resolved_at, updated_at)
+    WHERE status IN ('resolved', 'rejected') AND closed_at IS NULL
+  `);
+
+  // Databases set up by the old scripts already allow 'reopened' (and later
+  // statuses), so the constraint is only replaced when it does not
+  const check = await client.query(`
+    SELECT pg_get_constraintdef(oid) as definition
+    FROM pg_constraint
+    WHERE conname = 'complaints_status_check'
+  `);
+  if (!check.rows[0] || !check.rows[0].definition.includes('reopened')) {
+    await client.query(`
+      ALTER TABLE complaints DROP CONSTRAINT IF EXISTS complaints_status_check
+    `);
+    await client.query(`
+      ALTER TABLE complaints ADD CONSTRAINT complaints_status_check
+      CHECK (status IN ('pending', 'in_progress', 'resolved', 'rejected', 'reopened'))
+    `);
+  }
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaints_assigned_to
+    ON complaints (assigned_to)
+  `);
+
+  await client.query(`
+    ALTER TABLE complaint_attachments
+      ADD COLUMN IF NOT EXISTS uploaded_by INTEGER REFERENCES users(id)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaint_attachments_complaint_id
+    ON complaint_attachments (complaint_id)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS complaint_messages (
+      id SERIAL PRIMARY KEY,
+      complaint_id INTEGER REFERENCES complaints(id) ON DELETE CASCADE NOT NULL,
+      author_id INTEGER REFERENCES users(id),
+      author_role VARCHAR(20) NOT NULL,
+      body TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaint_messages_complaint_id
+    ON complaint_messages (complaint_id, created_at)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS identity_reveal_requests (
+      id SERIAL PRIMARY KEY,
+      complaint_id INTEGER REFERENCES complaints(id) ON DELETE CASCADE NOT NULL,
+      requested_by INTEGER REFERENCES users(id) NOT NULL,
+      justification TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+      reviewed_by INTEGER REFERENCES users(id),
+      review_note TEXT,
+      reviewed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (reviewed_by IS NULL OR reviewed_by <> requested_by)
+    );
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_identity_reveal_requests_pending
+    ON identity_reveal_requests (complaint_id) WHERE status = 'pending'
+  `);
+};
+
+const down = async (client) => {
+  const reopened = await client.query(`
+    SELECT COUNT(*) as count FROM complaints WHERE status = 'reopened'
+  `);
+  if (parseInt(reopened.rows[0].count, 10) > 0) {
+    throw new Error(`${reopened.rows[0].count} complaint(s) are reopened; change their status before rolling back`);
+  }
+
+  await client.query('DROP TABLE IF EXISTS identity_reveal_requests, complaint_messages');
+
+  await client.query('DROP INDEX IF EXISTS idx_complaint_attachments_complaint_id');
+  await client.query('ALTER TABLE complaint_attachments DROP COLUMN IF EXISTS uploaded_by');
+  await client.query('DROP INDEX IF EXISTS idx_complaints_assigned_to');
+
+  await client.query(`
+    ALTER TABLE complaints DROP CONSTRAINT IF EXISTS complaints_status_check
+  `);
+  await client.query(`
+    ALTER TABLE complaints ADD CONSTRAINT complaints_status_check
+    CHECK (status IN ('pending', 'in_progress', 'resolved', 'rejected'))
+  `);
+
+  await client.query(`
+    ALTER TABLE complaints
+      DROP COLUMN IF EXISTS anonymous,
+      DROP COLUMN IF EXISTS closed_at,
+      DROP COLUMN IF EXISTS reopen_count
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,126 @@
+// SLA tracking and escalation, the email outbox and in-app notifications
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE complaints
+      ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS sla_breached_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS escalation_level INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS sla_started_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS sla_priority VARCHAR(10) CHECK (sla_priority IN ('low', 'medium', 'high'))
+  `);
+
+  // Complaints already acted on count as responded to
+  await client.query(`
+    UPDATE complaints
+    SET first_response_at = updated_at
+    WHERE status <> 'pending' AND first_response_at IS NULL
+  `);
+
+  // The SLA clock runs from submission, or from the last reopen
+  await client.query(`
+    UPDATE complaints c
+    SET sla_priority = c.priority,
+        sla_started_at = COALESCE(
+          (SELECT MAX(a.created_at) FROM audit_logs a
+           WHERE a.resource_type = 'complaint' AND a.resource_id = c.id AND a.action = 'REOPEN'),
+          c.created_at,
+          CURRENT_TIMESTAMP)
+    WHERE c.sla_priority IS NULL
+  `);
+
+  await client.query(`
+    ALTER TABLE complaints
+      ALTER COLUMN sla_started_at SET DEFAULT CURRENT_TIMESTAMP,
+      ALTER COLUMN sla_started_at SET NOT NULL,
+      ALTER COLUMN sla_priority SET DEFAULT 'medium',
+      ALTER COLUMN sla_priority SET NOT NULL
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sla_policies (
+      id SERIAL PRIMARY KEY,
+      domain_id INTEGER REFERENCES domains(id) ON DELETE CASCADE,
+      priority VARCHAR(10) NOT NULL CHECK (priority IN ('low', 'medium', 'high')),
+      first_response_hours INTEGER NOT NULL CHECK (first_response_hours > 0),
+      resolution_hours INTEGER NOT NULL CHECK (resolution_hours > 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // One policy per domain and priority; domain_id NULL holds the defaults
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_domain_priority
+    ON sla_policies (COALESCE(domain_id, 0), priority)
+  `);
+
+  await client.query(`
+    INSERT INTO sla_policies (domain_id, priority, first_response_hours, resolution_hours) VALUES
+      (NULL, 'high', 4, 48),
+      (NULL, 'medium', 24, 120),
+      (NULL, 'low', 48, 240)
+    ON CONFLICT DO NOTHING;
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id SERIAL PRIMARY KEY,
+      to_address VARCHAR(255) NOT NULL,
+      template VARCHAR(100) NOT NULL,
+      subject VARCHAR(500) NOT NULL,
+      body TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+    ON email_outbox (status, next_attempt_at)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT,
+      complaint_id INTEGER REFERENCES complaints(id) ON DELETE SET NULL,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_notifications_user_created
+    ON notifications (user_id, created_at DESC)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_notifications_user_unread
+    ON notifications (user_id) WHERE read_at IS NULL
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS notifications, email_outbox, sla_policies');
+
+  await client.query(`
+    ALTER TABLE complaints
+      DROP COLUMN IF EXISTS first_response_at,
+      DROP COLUMN IF EXISTS sla_breached_at,
+      DROP COLUMN IF EXISTS escalation_level,
+      DROP COLUMN IF EXISTS escalated_at,
+      DROP COLUMN IF EXISTS sla_started_at,
+      DROP COLUMN IF EXISTS sla_priority
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+// Full-text search, trigram duplicate detection and complaint followers
+const up = async (client) => {
+  // Search columns are generated, so PostgreSQL keeps them up to date
+  await client.query(`
+    ALTER TABLE complaints
+      ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(resolution_details, '')), 'C')
+      ) STORED,
+      ADD COLUMN IF NOT EXISTS public_search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(resolution_details, '')), 'C')
+      ) STORED
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaints_search_vector
+    ON complaints USING GIN (search_vector)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaints_public_search_vector
+    ON complaints USING GIN (public_search_vector)
+  `);
+
+  await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS complaint_followers (
+      complaint_id INTEGER REFERENCES complaints(id) ON DELETE CASCADE NOT NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (complaint_id, user_id)
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaint_followers_user_id
+    ON complaint_followers (user_id)
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS complaint_followers');
+
+  // pg_trgm is left installed; other database objects may rely on it
+  await client.query(`
+    ALTER TABLE complaints
+      DROP COLUMN IF EXISTS search_vector,
+      DROP COLUMN IF EXISTS public_search_vector
+  `);
+};
+
+module.exports = { up, down };
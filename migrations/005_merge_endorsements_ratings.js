@@ -0,0 +1,71 @@
+// Merging duplicate complaints, "me too" endorsements and satisfaction ratings
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE complaints
+      ADD COLUMN IF NOT EXISTS merged_into INTEGER REFERENCES complaints(id)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaints_merged_into ON complaints(merged_into)
+  `);
+
+  await client.query(`
+    ALTER TABLE complaints DROP CONSTRAINT IF EXISTS complaints_status_check
+  `);
+  await client.query(`
+    ALTER TABLE complaints ADD CONSTRAINT complaints_status_check
+    CHECK (status IN ('pending', 'in_progress', 'resolved', 'rejected', 'reopened', 'merged'))
+  `);
+
+  // Who endorsed is never exposed, only the count
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS complaint_endorsements (
+      complaint_id INTEGER REFERENCES complaints(id) ON DELETE CASCADE NOT NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (complaint_id, user_id)
+    );
+  `);
+
+  // One satisfaction rating per complaint, by the submitting student
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS complaint_ratings (
+      id SERIAL PRIMARY KEY,
+      complaint_id INTEGER REFERENCES complaints(id) ON DELETE CASCADE UNIQUE NOT NULL,
+      student_id INTEGER REFERENCES users(id) NOT NULL,
+      handled_by INTEGER REFERENCES users(id),
+      rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      comment TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaint_ratings_handled_by
+    ON complaint_ratings (handled_by)
+  `);
+};
+
+const down = async (client) => {
+  const merged = await client.query(`
+    SELECT COUNT(*) as count FROM complaints WHERE status = 'merged'
+  `);
+  if (parseInt(merged.rows[0].count, 10) > 0) {
+    throw new Error(`${merged.rows[0].count} complaint(s) are merged; unmerge them before rolling back`);
+  }
+
+  await client.query('DROP TABLE IF EXISTS complaint_ratings, complaint_endorsements');
+
+  await client.query(`
+    ALTER TABLE complaints DROP CONSTRAINT IF EXISTS complaints_status_check
+  `);
+  await client.query(`
+    ALTER TABLE complaints ADD CONSTRAINT complaints_status_check
+    CHECK (status IN ('pending', 'in_progress', 'resolved', 'rejected', 'reopened'))
+  `);
+
+  await client.query('ALTER TABLE complaints DROP COLUMN IF EXISTS merged_into');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,79 @@
+// Admin-managed domains, per-domain complaint categories and admin tags
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE domains
+      ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true,
+      ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  // Keep the creation order as the initial order, unless one is already set
+  await client.query(`
+    UPDATE domains d
+    SET sort_order = ordered.position
+    FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY id) as position FROM domains) ordered
+    WHERE d.id = ordered.id
+      AND NOT EXISTS (SELECT 1 FROM domains WHERE sort_order <> 0)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS complaint_categories (
+      id SERIAL PRIMARY KEY,
+      domain_id INTEGER REFERENCES domains(id) ON DELETE CASCADE NOT NULL,
+      name VARCHAR(50) NOT NULL,
+      description TEXT,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (domain_id, name)
+    );
+  `);
+
+  await client.query(`
+    INSERT INTO complaint_categories (domain_id, name, sort_order)
+    SELECT d.id, category.name, category.position
+    FROM domains d,
+         unnest(ARRAY['Plumbing', 'Electricity', 'Food', 'Wi-Fi', 'Roommate']) WITH ORDINALITY as category(name, position)
+    WHERE d.name = 'Hostel'
+    ON CONFLICT (domain_id, name) DO NOTHING
+  `);
+
+  await client.query(`
+    ALTER TABLE complaints
+      ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES complaint_categories(id)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaints_category_id ON complaints(category_id)
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS complaint_tags (
+      complaint_id INTEGER REFERENCES complaints(id) ON DELETE CASCADE NOT NULL,
+      tag VARCHAR(40) NOT NULL,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (complaint_id, tag)
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_complaint_tags_tag ON complaint_tags (tag)
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS complaint_tags');
+  await client.query('ALTER TABLE complaints DROP COLUMN IF EXISTS category_id');
+  await client.query('DROP TABLE IF EXISTS complaint_categories');
+
+  await client.query(`
+    ALTER TABLE domains
+      DROP COLUMN IF EXISTS is_active,
+      DROP COLUMN IF EXISTS sort_order,
+      DROP COLUMN IF EXISTS updated_at
+  `);
+};
+
+module.exports = { up, down };
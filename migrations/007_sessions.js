@@ -0,0 +1,36 @@
+// Login sessions backing rotating refresh tokens. Only SHA-256 hashes of
+// refresh tokens are stored.
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+      previous_token_hash VARCHAR(64),
+      ip_address INET,
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(50)
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_active
+    ON sessions (user_id) WHERE revoked_at IS NULL
+  `);
+
+  // Lets a replayed, already rotated refresh token be recognised
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_sessions_previous_token_hash
+    ON sessions (previous_token_hash)
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS sessions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// One-time password reset tokens; only their hashes are stored
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      requested_ip INET,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id
+    ON password_reset_tokens (user_id)
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS password_reset_tokens');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// Email verification for self-registered accounts
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP
+  `);
+
+  // Accounts that already exist keep working
+  await client.query(`
+    UPDATE users
+    SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP)
+    WHERE email_verified_at IS NULL
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// TOTP two-factor authentication. The secret is stored encrypted; it is
+// pending until totp_enabled_at is set. Recovery codes are stored hashed.
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS totp_last_step BIGINT
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, code_hash)
+    );
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS two_factor_recovery_codes');
+
+  await client.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS totp_secret,
+      DROP COLUMN IF EXISTS totp_enabled_at,
+      DROP COLUMN IF EXISTS totp_last_step
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Per-account failed login tracking with lockout, and the IP addresses and
+// devices each account has logged in from
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP
+  `);
+
+  // Devices are identified by a hash of their User-Agent
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS login_fingerprints (
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      kind VARCHAR(10) NOT NULL CHECK (kind IN ('ip', 'device')),
+      fingerprint VARCHAR(64) NOT NULL,
+      label TEXT,
+      first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, kind, fingerprint)
+    );
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS login_fingerprints');
+
+  await client.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS failed_login_count,
+      DROP COLUMN IF EXISTS last_failed_login_at,
+      DROP COLUMN IF EXISTS locked_until
+  `);
+};
+
+module.exports = { up, down };
@@ -1,8 +1,13 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const pool = require('../lib/db');
-const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { authenticateToken, requireSubAdmin, requireSuperAdmin } = require('../middleware/auth');
+const { SLA_JOIN, BREACH_REASON, OPEN_STATUSES } = require('../lib/sla');
+const { ratingStats } = require('../lib/ratings');
+const { revokeUserSessions } = require('../lib/sessions');
+const { disableTwoFactor } = require('../lib/twoFactor');
+const { clearFailedLogins } = require('../lib/loginSecurity');
 const { convertKeysToCamelCase } = require('../lib/utils');
 
 const router = express.Router();
@@ -14,6 +19,8 @@ router.get('/users', authenticateToken, requireSuperAdmin, async (req, res) => {
 
     let query = `
       SELECT u.id, u.email, u.role, u.name, u.student_id, u.domain_id, u.is_active, u.created_at,
+             u.totp_enabled_at IS NOT NULL as two_factor_enabled,
+             u.failed_login_count, CASE WHEN u.locked_until > CURRENT_TIMESTAMP THEN u.locked_until END as locked_until,
              d.name as domain_name
       FROM users u
       LEFT JOIN domains d ON u.domain_id = d.id
@@ -120,6 +127,13 @@ router.post('/users', authenticateToken, requireSuperAdmin, [
       return res.status(400).json({ error: 'Domain ID is required for sub-admin' });
     }
 
+    if (role === 'sub_admin') {
+      const domainResult = await pool.query('SELECT is_active FROM domains WHERE id = $1', [domainId]);
+      if (domainResult.rows.length === 0 || !domainResult.rows[0].is_active) {
+        return res.status(400).json({ error: 'Invalid or inactive domain' });
+      }
+    }
+
     if (role === 'student' && !studentId) {
       return res.status(400).json({ error: 'Student ID is required for student' });
     }
@@ -127,8 +141,8 @@ router.post('/users', authenticateToken, requireSuperAdmin, [
     const passwordHash = await bcrypt.hash(password, 12);
 
     const result = await pool.query(`
-      INSERT INTO users (email, password_hash, role, name, student_id, domain_id)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO users (email, password_hash, role, name, student_id, domain_id, email_verified_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
       RETURNING id, email, role, name, student_id, domain_id, created_at
     `, [email, passwordHash, role, name, studentId, domainId]);
 
@@ -180,6 +194,10 @@ router.put('/users/:id/toggle', authenticateToken, requireSuperAdmin, async (req
     await pool.query('UPDATE users SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', 
       [newStatus, userId]);
 
+    if (!newStatus) {
+      await revokeUserSessions(userId, 'user_disabled');
+    }
+
     const newValues = newStatus
       ? { is_active: newStatus }
       : { is_active: newStatus, reason: reason || 'No reason provided' };
@@ -204,6 +222,114 @@ router.put('/users/:id/toggle', authenticateToken, requireSuperAdmin, async (req
   }
 });
 
+router.post('/users/:id/logout', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const userResult = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revokedSessions = await revokeUserSessions(userId, 'forced_logout');
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [req.user.id, 'FORCE_LOGOUT', 'user', userId, { revoked_sessions: revokedSessions }]);
+
+    res.json({
+      message: 'User logged out of all sessions',
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Force logout error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to log out user' });
+    }
+  }
+});
+
+router.post('/users/:id/unlock', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const userResult = await pool.query(`
+      SELECT failed_login_count, locked_until FROM users WHERE id = $1
+    `, [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { failed_login_count: failedAttempts, locked_until: lockedUntil } = userResult.rows[0];
+
+    await clearFailedLogins(userId);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'UNLOCK_USER', 'user', userId,
+        { failed_login_count: failedAttempts, locked_until: lockedUntil },
+        { failed_login_count: 0, locked_until: null }]);
+
+    res.json({ message: 'User unlocked successfully' });
+
+  } catch (error) {
+    console.error('User unlock error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to unlock user' });
+    }
+  }
+});
+
+// For users who lost both their authenticator and recovery codes. They can
+// enroll again at their next login.
+router.post('/users/:id/2fa/reset', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const userResult = await pool.query('SELECT totp_enabled_at FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!userResult.rows[0].totp_enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    await disableTwoFactor(userId);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'RESET_2FA', 'user', userId, { two_factor: true }, { two_factor: false }]);
+
+    res.json({ message: 'Two-factor authentication reset' });
+
+  } catch (error) {
+    console.error('2FA reset error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+  }
+});
+
 router.get('/audit-logs', authenticateToken, requireSuperAdmin, async (req, res) => {
   try {
     const { page = 1, limit = 20, action, resourceType, userId } = req.query;
@@ -267,7 +393,12 @@ router.get('/dashboard', authenticateToken, requireSuperAdmin, async (req, res)
       userStats,
       complaintStats,
       domainStats,
-      recentActivity
+      recentActivity,
+      slaStats,
+      escalatedComplaints,
+      ratings,
+      categoryStats,
+      tagStats
     ] = await Promise.all([
       pool.query(`
         SELECT 
@@ -284,7 +415,9 @@ router.get('/dashboard', authenticateToken, requireSuperAdmin, async (req, res)
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
           COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress,
           COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved,
-          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected
+          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected,
+          COUNT(CASE WHEN status = 'reopened' THEN 1 END) as reopened,
+          COUNT(CASE WHEN status = 'merged' THEN 1 END) as merged
         FROM complaints
       `),
       pool.query(`
@@ -300,14 +433,60 @@ router.get('/dashboard', authenticateToken, requireSuperAdmin, async (req, res)
         LEFT JOIN users u ON al.user_id = u.id
         ORDER BY al.created_at DESC
         LIMIT 10
-      `)
+      `),
+      pool.query(`
+        SELECT d.name as domain_name,
+               COUNT(c.id) as open,
+               COUNT(CASE WHEN ${BREACH_REASON} IS NOT NULL THEN 1 END) as breached,
+               COUNT(CASE WHEN c.escalation_level > 0 THEN 1 END) as escalated
+        FROM domains d
+        LEFT JOIN complaints c ON d.id = c.domain_id AND c.status = ANY($1)
+        ${SLA_JOIN}
+        GROUP BY d.id, d.name
+        ORDER BY breached DESC, d.name
+      `, [OPEN_STATUSES]),
+      pool.query(`
+        SELECT c.id, c.title, c.status, c.priority, c.escalation_level, c.escalated_at,
+               d.name as domain_name
+        FROM complaints c
+        JOIN domains d ON c.domain_id = d.id
+        WHERE c.escalation_level > 0 AND c.status = ANY($1)
+        ORDER BY c.escalated_at DESC
+        LIMIT 10
+      `, [OPEN_STATUSES]),
+      ratingStats(),
+      pool.query(`
+        SELECT d.name as domain_name, cat.id as category_id, cat.name as category_name,
+               COUNT(c.id)::int as total,
+               COUNT(CASE WHEN c.status = ANY($1) THEN 1 END)::int as open
+        FROM complaints c
+        JOIN domains d ON c.domain_id = d.id
+        LEFT JOIN complaint_categories cat ON c.category_id = cat.id
+        GROUP BY d.id, d.name, cat.id, cat.name
+        ORDER BY d.name, total DESC
+      `, [OPEN_STATUSES]),
+      pool.query(`
+        SELECT t.tag,
+               COUNT(*)::int as total,
+               COUNT(CASE WHEN c.status = ANY($1) THEN 1 END)::int as open
+        FROM complaint_tags t
+        JOIN complaints c ON t.complaint_id = c.id
+        GROUP BY t.tag
+        ORDER BY total DESC, t.tag
+        LIMIT 20
+      `, [OPEN_STATUSES])
     ]);
 
     res.json({
       userStats: convertKeysToCamelCase(userStats.rows[0]),
       complaintStats: convertKeysToCamelCase(complaintStats.rows[0]),
       domainStats: convertKeysToCamelCase(domainStats.rows),
-      recentActivity: convertKeysToCamelCase(recentActivity.rows)
+      recentActivity: convertKeysToCamelCase(recentActivity.rows),
+      slaStats: convertKeysToCamelCase(slaStats.rows),
+      escalatedComplaints: convertKeysToCamelCase(escalatedComplaints.rows),
+      ratingStats: convertKeysToCamelCase(ratings),
+      categoryStats: convertKeysToCamelCase(categoryStats.rows),
+      tagStats: convertKeysToCamelCase(tagStats.rows)
     });
 
   } catch (error) {
@@ -320,4 +499,786 @@ router.get('/dashboard', authenticateToken, requireSuperAdmin, async (req, res)
   }
 });
 
+const parseDomainId = (id) => {
+  const domainId = parseInt(id, 10);
+  return isNaN(domainId) || domainId <= 0 ? null : domainId;
+};
+
+router.get('/domains', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT d.id, d.name, d.description, d.is_active, d.sort_order, d.created_at, d.updated_at,
+             (SELECT COUNT(*) FROM complaints c WHERE c.domain_id = d.id)::int as complaint_count,
+             (SELECT COUNT(*) FROM complaints c WHERE c.domain_id = d.id AND c.status = ANY($1))::int as open_complaints,
+             (SELECT COUNT(*) FROM users u WHERE u.domain_id = d.id AND u.role = 'sub_admin' AND u.is_active = true)::int as sub_admins
+      FROM domains d
+      ORDER BY d.sort_order, d.name
+    `, [OPEN_STATUSES]);
+
+    res.json({ domains: convertKeysToCamelCase(result.rows) });
+
+  } catch (error) {
+    console.error('Domains fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch domains' });
+    }
+  }
+});
+
+router.post('/domains', authenticateToken, requireSuperAdmin, [
+  body('name').trim().isLength({ min: 2, max: 50 }),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.body;
+    const description = req.body.description || null;
+
+    // New domains go to the end of the list
+    const result = await pool.query(`
+      INSERT INTO domains (name, description, sort_order)
+      VALUES ($1, $2, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM domains))
+      RETURNING id, name, description, is_active, sort_order, created_at, updated_at
+    `, [name, description]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [req.user.id, 'CREATE_DOMAIN', 'domain', result.rows[0].id, { name, description }]);
+
+    res.status(201).json({
+      message: 'Domain created successfully',
+      domain: convertKeysToCamelCase(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Domain creation error:', error);
+    if (error.code === '23505') { // Unique violation
+      res.status(409).json({ error: 'A domain with this name already exists' });
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to create domain' });
+    }
+  }
+});
+
+// Takes every domain ID in the desired order
+router.put('/domains/order', authenticateToken, requireSuperAdmin, [
+  body('domainIds').isArray({ min: 1 }),
+  body('domainIds.*').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { domainIds } = req.body;
+
+    const existing = await pool.query('SELECT id FROM domains');
+    const existingIds = existing.rows.map(row => row.id);
+    if (new Set(domainIds).size !== domainIds.length ||
+        domainIds.length !== existingIds.length ||
+        !existingIds.every(domainId => domainIds.includes(domainId))) {
+      return res.status(400).json({ error: 'domainIds must list every domain exactly once' });
+    }
+
+    await pool.query(`
+      UPDATE domains d
+      SET sort_order = ordered.position, updated_at = CURRENT_TIMESTAMP
+      FROM unnest($1::int[]) WITH ORDINALITY as ordered(id, position)
+      WHERE d.id = ordered.id AND d.sort_order <> ordered.position
+    `, [domainIds]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [req.user.id, 'REORDER_DOMAINS', 'domain', null, { domain_ids: domainIds }]);
+
+    res.json({ message: 'Domain order updated successfully' });
+
+  } catch (error) {
+    console.error('Domain reorder error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to reorder domains' });
+    }
+  }
+});
+
+router.put('/domains/:id', authenticateToken, requireSuperAdmin, [
+  body('name').optional().trim().isLength({ min: 2, max: 50 }),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const domainId = parseDomainId(req.params.id);
+    if (!domainId) {
+      return res.status(400).json({ error: 'Invalid domain ID' });
+    }
+
+    const { name } = req.body;
+    const hasDescription = req.body.description !== undefined;
+    if (name === undefined && !hasDescription) {
+      return res.status(400).json({ error: 'Provide a name or description to update' });
+    }
+
+    const existing = await pool.query('SELECT name, description FROM domains WHERE id = $1', [domainId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const result = await pool.query(`
+      UPDATE domains
+      SET name = COALESCE($1, name),
+          description = CASE WHEN $2 THEN $3 ELSE description END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING id, name, description, is_active, sort_order, created_at, updated_at
+    `, [name || null, hasDescription, req.body.description || null, domainId]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'UPDATE_DOMAIN', 'domain', domainId, existing.rows[0],
+        { name: result.rows[0].name, description: result.rows[0].description }]);
+
+    res.json({
+      message: 'Domain updated successfully',
+      domain: convertKeysToCamelCase(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Domain update error:', error);
+    if (error.code === '23505') { // Unique violation
+      res.status(409).json({ error: 'A domain with this name already exists' });
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to update domain' });
+    }
+  }
+});
+
+/**
+ * Build the handler for activate / deactivate. A domain can only be
+ * deactivated once its open complaints were transferred or closed and its
+ * sub-admins moved or disabled, so nothing is left without an owner.
+ * @param {boolean} isActive - Target state
+ */
+const setDomainActive = (isActive) => async (req, res) => {
+  try {
+    const domainId = parseDomainId(req.params.id);
+    if (!domainId) {
+      return res.status(400).json({ error: 'Invalid domain ID' });
+    }
+
+    const domainResult = await pool.query(`
+      SELECT d.id, d.is_active,
+             (SELECT COUNT(*) FROM complaints c WHERE c.domain_id = d.id AND c.status = ANY($2))::int as open_complaints,
+             (SELECT COUNT(*) FROM users u WHERE u.domain_id = d.id AND u.role = 'sub_admin' AND u.is_active = true)::int as sub_admins,
+             (SELECT COUNT(*) FROM domains WHERE is_active = true AND id <> d.id)::int as other_active
+      FROM domains d
+      WHERE d.id = $1
+    `, [domainId, OPEN_STATUSES]);
+
+    if (domainResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const domain = domainResult.rows[0];
+
+    if (domain.is_active === isActive) {
+      return res.status(409).json({ error: `Domain is already ${isActive ? 'active' : 'inactive'}` });
+    }
+
+    if (!isActive) {
+      if (domain.other_active === 0) {
+        return res.status(409).json({ error: 'Cannot deactivate the last active domain' });
+      }
+      if (domain.open_complaints > 0 || domain.sub_admins > 0) {
+        return res.status(409).json({
+          error: 'Transfer or close open complaints and move or disable sub-admins before deactivating this domain',
+          openComplaints: domain.open_complaints,
+          subAdmins: domain.sub_admins
+        });
+      }
+    }
+
+    await pool.query(`
+      UPDATE domains SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+    `, [isActive, domainId]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, isActive ? 'ACTIVATE_DOMAIN' : 'DEACTIVATE_DOMAIN', 'domain', domainId,
+        { is_active: !isActive }, { is_active: isActive }]);
+
+    res.json({ message: `Domain ${isActive ? 'activated' : 'deactivated'} successfully` });
+
+  } catch (error) {
+    console.error('Domain status change error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to update domain status' });
+    }
+  }
+};
+
+router.post('/domains/:id/activate', authenticateToken, requireSuperAdmin, setDomainActive(true));
+router.post('/domains/:id/deactivate', authenticateToken, requireSuperAdmin, setDomainActive(false));
+
+// Sub-admins manage the categories of their own domain only
+const canManageDomain = (user, domainId) => user.role === 'super_admin' || user.domain_id === domainId;
+
+router.get('/domains/:id/categories', authenticateToken, requireSubAdmin, async (req, res) => {
+  try {
+    const domainId = parseDomainId(req.params.id);
+    if (!domainId) {
+      return res.status(400).json({ error: 'Invalid domain ID' });
+    }
+    if (!canManageDomain(req.user, domainId)) {
+      return res.status(403).json({ error: 'Access denied to this domain' });
+    }
+
+    const result = await pool.query(`
+      SELECT cat.id, cat.domain_id, cat.name, cat.description, cat.is_active, cat.sort_order,
+             cat.created_at, cat.updated_at,
+             (SELECT COUNT(*) FROM complaints c WHERE c.category_id = cat.id)::int as complaint_count
+      FROM complaint_categories cat
+      WHERE cat.domain_id = $1
+      ORDER BY cat.sort_order, cat.name
+    `, [domainId]);
+
+    res.json({ categories: convertKeysToCamelCase(result.rows) });
+
+  } catch (error) {
+    console.error('Categories fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+  }
+});
+
+router.post('/domains/:id/categories', authenticateToken, requireSubAdmin, [
+  body('name').trim().isLength({ min: 2, max: 50 }),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const domainId = parseDomainId(req.params.id);
+    if (!domainId) {
+      return res.status(400).json({ error: 'Invalid domain ID' });
+    }
+    if (!canManageDomain(req.user, domainId)) {
+      return res.status(403).json({ error: 'Access denied to this domain' });
+    }
+
+    const { name } = req.body;
+    const description = req.body.description || null;
+
+    const result = await pool.query(`
+      INSERT INTO complaint_categories (domain_id, name, description, sort_order)
+      VALUES ($1, $2, $3, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM complaint_categories WHERE domain_id = $1))
+      RETURNING id, domain_id, name, description, is_active, sort_order, created_at, updated_at
+    `, [domainId, name, description]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [req.user.id, 'CREATE_CATEGORY', 'category', result.rows[0].id, { domain_id: domainId, name, description }]);
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: convertKeysToCamelCase(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Category creation error:', error);
+    if (error.code === '23505') { // Unique violation
+      res.status(409).json({ error: 'A category with this name already exists in this domain' });
+    } else if (error.code === '23503') { // Foreign key violation
+      res.status(404).json({ error: 'Domain not found' });
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to create category' });
+    }
+  }
+});
+
+// Categories are deactivated rather than deleted so existing complaints keep them
+router.put('/domains/:id/categories/:categoryId', authenticateToken, requireSubAdmin, [
+  body('name').optional().trim().isLength({ min: 2, max: 50 }),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('sortOrder').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const domainId = parseDomainId(req.params.id);
+    const categoryId = parseInt(req.params.categoryId, 10);
+    if (!domainId || isNaN(categoryId) || categoryId <= 0) {
+      return res.status(400).json({ error: 'Invalid domain or category ID' });
+    }
+    if (!canManageDomain(req.user, domainId)) {
+      return res.status(403).json({ error: 'Access denied to this domain' });
+    }
+
+    const existing = await pool.query(`
+      SELECT name, description, is_active, sort_order
+      FROM complaint_categories
+      WHERE id = $1 AND domain_id = $2
+    `, [categoryId, domainId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const old = existing.rows[0];
+    const updated = {
+      name: req.body.name !== undefined ? req.body.name : old.name,
+      description: req.body.description !== undefined ? (req.body.description || null) : old.description,
+      is_active: req.body.isActive !== undefined ? req.body.isActive : old.is_active,
+      sort_order: req.body.sortOrder !== undefined ? req.body.sortOrder : old.sort_order
+    };
+
+    const result = await pool.query(`
+      UPDATE complaint_categories
+      SET name = $1, description = $2, is_active = $3, sort_order = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING id, domain_id, name, description, is_active, sort_order, created_at, updated_at
+    `, [updated.name, updated.description, updated.is_active, updated.sort_order, categoryId]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'UPDATE_CATEGORY', 'category', categoryId, old, updated]);
+
+    res.json({
+      message: 'Category updated successfully',
+      category: convertKeysToCamelCase(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Category update error:', error);
+    if (error.code === '23505') { // Unique violation
+      res.status(409).json({ error: 'A category with this name already exists in this domain' });
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to update category' });
+    }
+  }
+});
+
+router.get('/sla-policies', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT sp.id, sp.domain_id, d.name as domain_name, sp.priority,
+             sp.first_response_hours, sp.resolution_hours, sp.updated_at
+      FROM sla_policies sp
+      LEFT JOIN domains d ON sp.domain_id = d.id
+      ORDER BY sp.domain_id NULLS FIRST, sp.priority
+    `);
+
+    res.json({ policies: convertKeysToCamelCase(result.rows) });
+
+  } catch (error) {
+    console.error('SLA policies fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch SLA policies' });
+    }
+  }
+});
+
+// Create or update the policy for a domain (or the default when domainId is omitted)
+router.put('/sla-policies', authenticateToken, requireSuperAdmin, [
+  body('domainId').optional({ nullable: true }).isInt(),
+  body('priority').isIn(['low', 'medium', 'high']),
+  body('firstResponseHours').isInt({ min: 1 }),
+  body('resolutionHours').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { domainId = null, priority, firstResponseHours, resolutionHours } = req.body;
+
+    if (parseInt(firstResponseHours, 10) > parseInt(resolutionHours, 10)) {
+      return res.status(400).json({ error: 'First response target cannot exceed resolution target' });
+    }
+
+    const existing = await pool.query(`
+      SELECT id, first_response_hours, resolution_hours FROM sla_policies
+      WHERE domain_id IS NOT DISTINCT FROM $1 AND priority = $2
+    `, [domainId, priority]);
+
+    let result;
+    if (existing.rows.length > 0) {
+      result = await pool.query(`
+        UPDATE sla_policies
+        SET first_response_hours = $1, resolution_hours = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING id, domain_id, priority, first_response_hours, resolution_hours, updated_at
+      `, [firstResponseHours, resolutionHours, existing.rows[0].id]);
+    } else {
+      result = await pool.query(`
+        INSERT INTO sla_policies (domain_id, priority, first_response_hours, resolution_hours)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, domain_id, priority, first_response_hours, resolution_hours, updated_at
+      `, [domainId, priority, firstResponseHours, resolutionHours]);
+    }
+
+    const policy = result.rows[0];
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'UPDATE_SLA_POLICY', 'sla_policy', policy.id,
+        existing.rows[0] || null,
+        { domain_id: domainId, priority, first_response_hours: firstResponseHours, resolution_hours: resolutionHours }]);
+
+    res.json({
+      message: 'SLA policy saved successfully',
+      policy: convertKeysToCamelCase(policy)
+    });
+
+  } catch (error) {
+    console.error('SLA policy save error:', error);
+    if (error.code === '23503') { // Foreign key violation
+      res.status(400).json({ error: 'Invalid domain' });
+    } else if (error.code === '23505') { // Unique violation
+      res.status(409).json({ error: 'SLA policy already exists' });
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to save SLA policy' });
+    }
+  }
+});
+
+router.delete('/sla-policies/:id', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const policyId = parseInt(req.params.id, 10);
+    if (isNaN(policyId) || policyId <= 0) {
+      return res.status(400).json({ error: 'Invalid policy ID' });
+    }
+
+    const existing = await pool.query(`
+      SELECT id, domain_id, priority, first_response_hours, resolution_hours
+      FROM sla_policies WHERE id = $1
+    `, [policyId]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+
+    // Default policies are the fallback for every domain and cannot be removed
+    if (existing.rows[0].domain_id === null) {
+      return res.status(400).json({ error: 'Default SLA policies cannot be deleted' });
+    }
+
+    await pool.query('DELETE FROM sla_policies WHERE id = $1', [policyId]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [req.user.id, 'DELETE_SLA_POLICY', 'sla_policy', policyId, existing.rows[0]]);
+
+    res.json({ message: 'SLA policy deleted successfully' });
+
+  } catch (error) {
+    console.error('SLA policy delete error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to delete SLA policy' });
+    }
+  }
+});
+
+// Approved reveals stay readable for a limited time only
+const REVEAL_ACCESS_HOURS = parseInt(process.env.REVEAL_ACCESS_HOURS, 10) || 24;
+
+const parseRequestId = (id) => {
+  const requestId = parseInt(id, 10);
+  if (isNaN(requestId) || requestId <= 0) {
+    return null;
+  }
+  return requestId;
+};
+
+router.post('/complaints/:id/reveal-requests', authenticateToken, requireSuperAdmin, [
+  body('justification').trim().isLength({ min: 20, max: 2000 })
+    .withMessage('Justification must be between 20 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaintId = parseRequestId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const { justification } = req.body;
+
+    const complaintResult = await pool.query('SELECT id, anonymous FROM complaints WHERE id = $1', [complaintId]);
+    if (complaintResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    if (!complaintResult.rows[0].anonymous) {
+      return res.status(400).json({ error: 'Complaint is not anonymous' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO identity_reveal_requests (complaint_id, requested_by, justification)
+      VALUES ($1, $2, $3)
+      RETURNING id, complaint_id, requested_by, justification, status, created_at
+    `, [complaintId, req.user.id, justification]);
+
+    const revealRequest = result.rows[0];
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [req.user.id, 'REVEAL_REQUEST', 'complaint', complaintId,
+        { request_id: revealRequest.id, justification }, req.ip, req.get('User-Agent')]);
+
+    res.status(201).json({
+      message: 'Identity reveal requested. Another super admin must approve it.',
+      request: convertKeysToCamelCase(revealRequest)
+    });
+
+  } catch (error) {
+    console.error('Reveal request error:', error);
+    if (error.code === '23505') { // Unique violation (one pending request per complaint)
+      res.status(409).json({ error: 'A reveal request is already pending for this complaint' });
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to request identity reveal' });
+    }
+  }
+});
+
+router.get('/reveal-requests', authenticateToken, requireSuperAdmin, [
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'expired'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status } = req.query;
+
+    let listQuery = `
+      SELECT r.id, r.complaint_id, r.justification, r.status, r.review_note,
+             r.created_at, r.reviewed_at,
+             r.requested_by, rq.name as requested_by_name,
+             r.reviewed_by, rv.name as reviewed_by_name,
+             c.title as complaint_title
+      FROM identity_reveal_requests r
+      JOIN complaints c ON r.complaint_id = c.id
+      LEFT JOIN users rq ON r.requested_by = rq.id
+      LEFT JOIN users rv ON r.reviewed_by = rv.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    // "expired" is not stored: it is an approval whose access window has passed
+    if (status === 'expired' || status === 'approved') {
+      params.push(REVEAL_ACCESS_HOURS);
+      listQuery += ` AND r.status = 'approved' AND r.reviewed_at ${status === 'expired' ? '<' : '>='}
+        CURRENT_TIMESTAMP - make_interval(hours => $1)`;
+    } else if (status) {
+      params.push(status);
+      listQuery += ' AND r.status = $1';
+    }
+
+    listQuery += ' ORDER BY r.created_at DESC';
+
+    const result = await pool.query(listQuery, params);
+
+    res.json({ requests: convertKeysToCamelCase(result.rows) });
+
+  } catch (error) {
+    console.error('Reveal requests fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch reveal requests' });
+    }
+  }
+});
+
+/**
+ * Build the approve / reject handler. The reviewer must be a different
+ * super admin than the one who filed the request.
+ * @param {string} decision - 'approved' or 'rejected'
+ */
+const reviewRevealRequest = (decision) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const requestId = parseRequestId(req.params.id);
+    if (!requestId) {
+      return res.status(400).json({ error: 'Invalid request ID' });
+    }
+
+    const { note } = req.body;
+
+    const requestResult = await pool.query(`
+      SELECT id, complaint_id, requested_by, status
+      FROM identity_reveal_requests WHERE id = $1
+    `, [requestId]);
+
+    if (requestResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Reveal request not found' });
+    }
+
+    const revealRequest = requestResult.rows[0];
+
+    if (revealRequest.requested_by === req.user.id) {
+      return res.status(403).json({ error: 'A reveal request must be reviewed by a different super admin' });
+    }
+
+    const updateResult = await pool.query(`
+      UPDATE identity_reveal_requests
+      SET status = $1, reviewed_by = $2, review_note = $3, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND status = 'pending'
+      RETURNING id, complaint_id, status, reviewed_at
+    `, [decision, req.user.id, note || null, requestId]);
+
+    if (updateResult.rows.length === 0) {
+      return res.status(409).json({ error: 'Reveal request has already been reviewed' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [req.user.id, decision === 'approved' ? 'REVEAL_APPROVE' : 'REVEAL_REJECT', 'complaint',
+        revealRequest.complaint_id, { status: 'pending' },
+        { request_id: requestId, status: decision, note: note || null }, req.ip, req.get('User-Agent')]);
+
+    res.json({
+      message: `Reveal request ${decision}`,
+      request: convertKeysToCamelCase(updateResult.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Reveal review error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to review reveal request' });
+    }
+  }
+};
+
+router.post('/reveal-requests/:id/approve', authenticateToken, requireSuperAdmin, [
+  body('note').optional().trim().isLength({ max: 2000 })
+], reviewRevealRequest('approved'));
+
+router.post('/reveal-requests/:id/reject', authenticateToken, requireSuperAdmin, [
+  body('note').trim().isLength({ min: 5, max: 2000 }).withMessage('A reason is required to reject a request')
+], reviewRevealRequest('rejected'));
+
+router.get('/reveal-requests/:id/identity', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const requestId = parseRequestId(req.params.id);
+    if (!requestId) {
+      return res.status(400).json({ error: 'Invalid request ID' });
+    }
+
+    const result = await pool.query(`
+      SELECT r.id, r.complaint_id, r.requested_by, r.reviewed_by, r.status,
+             r.reviewed_at + make_interval(hours => $2) as expires_at,
+             r.reviewed_at + make_interval(hours => $2) > CURRENT_TIMESTAMP as access_open,
+             u.name as student_name, u.email as student_email, u.student_id
+      FROM identity_reveal_requests r
+      JOIN complaints c ON r.complaint_id = c.id
+      JOIN users u ON c.student_id = u.id
+      WHERE r.id = $1
+    `, [requestId, REVEAL_ACCESS_HOURS]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reveal request not found' });
+    }
+
+    const revealRequest = result.rows[0];
+
+    if (revealRequest.requested_by !== req.user.id && revealRequest.reviewed_by !== req.user.id) {
+      return res.status(403).json({ error: 'Only the requester or approver can view this identity' });
+    }
+
+    if (revealRequest.status !== 'approved') {
+      return res.status(403).json({ error: 'Reveal request has not been approved' });
+    }
+
+    if (!revealRequest.access_open) {
+      return res.status(403).json({ error: 'Reveal approval has expired' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [req.user.id, 'REVEAL_IDENTITY', 'complaint', revealRequest.complaint_id,
+        { request_id: requestId }, req.ip, req.get('User-Agent')]);
+
+    res.json({
+      identity: convertKeysToCamelCase({
+        complaint_id: revealRequest.complaint_id,
+        student_name: revealRequest.student_name,
+        student_email: revealRequest.student_email,
+        student_id: revealRequest.student_id
+      }),
+      expiresAt: revealRequest.expires_at
+    });
+
+  } catch (error) {
+    console.error('Identity reveal error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to reveal identity' });
+    }
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const pool = require('../lib/db');
+const storage = require('../lib/storage');
+const { authenticateToken } = require('../middleware/auth');
+const { handleAttachments } = require('../middleware/upload');
+const { parseComplaintId, findAccessibleComplaint, hidesSubmitter, auditActorId } = require('../lib/complaintAccess');
+const { saveAttachments } = require('../lib/attachments');
+const { convertKeysToCamelCase } = require('../lib/utils');
+
+// Mounted at /api/complaints/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Hide the uploader's user ID from admins when it would identify the submitter
+ * @param {Array} rows - complaint_attachments rows
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} complaint - Complaint the attachments belong to
+ * @returns {Array} - Rows safe to return to the viewer
+ */
+const maskUploaders = (rows, user, complaint) => {
+  if (!hidesSubmitter(user, complaint)) {
+    return rows;
+  }
+  return rows.map(row => ({
+    ...row,
+    uploaded_by: row.uploaded_by === complaint.student_id ? null : row.uploaded_by
+  }));
+};
+
+const parseAttachmentId = (id) => {
+  const attachmentId = parseInt(id, 10);
+  if (isNaN(attachmentId) || attachmentId <= 0) {
+    return null;
+  }
+  return attachmentId;
+};
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT id, complaint_id, filename, file_size, mime_type, uploaded_by, uploaded_at
+      FROM complaint_attachments
+      WHERE complaint_id = $1
+      ORDER BY uploaded_at ASC
+    `, [complaintId]);
+
+    res.json({ attachments: convertKeysToCamelCase(maskUploaders(result.rows, req.user, complaint)) });
+
+  } catch (error) {
+    console.error('Attachments fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch attachments' });
+    }
+  }
+});
+
+/**
+ * Load the complaint from the route into req.complaint, or answer 404.
+ * Runs before the upload is parsed so files sent for a complaint the user
+ * cannot access are never buffered.
+ */
+const loadAccessibleComplaint = async (req, res, next) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    req.complaint = complaint;
+    next();
+  } catch (error) {
+    console.error('Attachment complaint lookup error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to upload attachments' });
+    }
+  }
+};
+
+router.post('/', authenticateToken, loadAccessibleComplaint, handleAttachments(), async (req, res) => {
+  try {
+    const complaint = req.complaint;
+    const complaintId = complaint.id;
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'At least one attachment is required' });
+    }
+
+    const attachments = await saveAttachments(pool, complaintId, req.user.id, files);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [auditActorId(req.user, complaint), 'ADD_ATTACHMENT', 'complaint', complaintId,
+        { attachment_ids: attachments.map(attachment => attachment.id) }]);
+
+    res.status(201).json({
+      message: 'Attachments uploaded successfully',
+      attachments: convertKeysToCamelCase(maskUploaders(attachments, req.user, complaint))
+    });
+
+  } catch (error) {
+    console.error('Attachment upload error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to upload attachments' });
+    }
+  }
+});
+
+router.get('/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    const attachmentId = parseAttachmentId(req.params.attachmentId);
+    if (!complaintId || !attachmentId) {
+      return res.status(400).json({ error: 'Invalid attachment ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT id, filename, file_path, file_size, mime_type
+      FROM complaint_attachments
+      WHERE id = $1 AND complaint_id = $2
+    `, [attachmentId, complaintId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const attachment = result.rows[0];
+    const stream = await storage.createReadStream(attachment.file_path);
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': attachment.file_size,
+      'Content-Disposition': `attachment; filename="${attachment.filename.replace(/"/g, '')}"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    stream.on('error', (streamError) => {
+      console.error('Attachment stream error:', streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Attachment download error:', error);
+    if (error.code === 'ENOENT') {
+      res.status(404).json({ error: 'Attachment file not found' });
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to download attachment' });
+    }
+  }
+});
+
+router.delete('/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    const attachmentId = parseAttachmentId(req.params.attachmentId);
+    if (!complaintId || !attachmentId) {
+      return res.status(400).json({ error: 'Invalid attachment ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT id, filename, file_path, uploaded_by
+      FROM complaint_attachments
+      WHERE id = $1 AND complaint_id = $2
+    `, [attachmentId, complaintId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const attachment = result.rows[0];
+
+    // Students may only remove files they uploaded themselves
+    if (req.user.role === 'student' && attachment.uploaded_by !== req.user.id) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    // File first: if storage fails the row stays and the delete can be retried
+    // (removing a file that is already gone is not an error)
+    await storage.remove(attachment.file_path);
+    await pool.query('DELETE FROM complaint_attachments WHERE id = $1', [attachmentId]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [auditActorId(req.user, complaint), 'DELETE_ATTACHMENT', 'complaint', complaintId,
+        { attachment_id: attachmentId, filename: attachment.filename }]);
+
+    res.json({ message: 'Attachment deleted successfully' });
+
+  } catch (error) {
+    console.error('Attachment delete error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,20 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const pool = require('../lib/db');
+const { authenticateToken } = require('../middleware/auth');
+const sessions = require('../lib/sessions');
+const { RESET_TOKEN_MINUTES, createResetToken, consumeResetToken } = require('../lib/passwordReset');
+const { queueEmail } = require('../lib/mail/outbox');
+const {
+  ALLOWED_EMAIL_DOMAINS,
+  isAllowedEmail,
+  sendVerificationEmail,
+  readVerificationToken
+} = require('../lib/emailVerification');
+const twoFactor = require('../lib/twoFactor');
+const loginSecurity = require('../lib/loginSecurity');
 const { convertKeysToCamelCase } = require('../lib/utils');
 
 const router = express.Router();
@@ -17,8 +28,88 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE || '24h' });
+// Clients refresh every access token lifetime, so this allows far more
+// requests than the login limiter
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: 'Too many refresh attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const clientDetails = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') });
+
+/**
+ * Open a session for a fully authenticated user, audit the login and send
+ * the tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - users row
+ * @param {Object} [auditValues] - Extra details for the LOGIN audit entry
+ * @param {Object} [extra] - Extra response fields
+ */
+const completeLogin = async (req, res, user, auditValues = {}, extra = {}) => {
+  const { newIp, newDevice } = await loginSecurity.recordSuccessfulLogin(user, clientDetails(req));
+  const { sessionId, token, refreshToken } = await sessions.createSession(user.id, clientDetails(req));
+
+  await pool.query(`
+    INSERT INTO audit_logs (user_id, action, resource_type, new_values, ip_address, user_agent)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [user.id, 'LOGIN', 'user', { session_id: sessionId, new_ip: newIp, new_device: newDevice, ...auditValues },
+      req.ip, req.get('User-Agent')]);
+
+  res.json({
+    message: 'Login successful',
+    user: convertKeysToCamelCase({
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      name: user.name,
+      student_id: user.student_id,
+      domain_id: user.domain_id
+    }),
+    token,
+    refreshToken,
+    ...extra
+  });
+};
+
+// Users that may finish a login: active and verified
+const LOGIN_USER_COLUMNS = 'id, email, role, name, student_id, domain_id, totp_enabled_at, locked_until';
+
+const findLoginUser = async (userId) => {
+  const result = await pool.query(`
+    SELECT ${LOGIN_USER_COLUMNS} FROM users
+    WHERE id = $1 AND is_active = true AND email_verified_at IS NOT NULL
+  `, [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Authenticate 2FA enrollment either with an access token or, for admins
+ * who must enroll before their first login completes, with a setup
+ * challenge from POST /login
+ */
+const authenticateEnrollment = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const userId = twoFactor.readChallenge(req.body.challengeToken, '2fa_setup');
+    const user = userId && await findLoginUser(userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    req.user = user;
+    req.setupChallenge = true;
+    next();
+  } catch (error) {
+    console.error('2FA challenge error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
 };
 
 router.post('/register', authLimiter, [
@@ -35,9 +126,15 @@ router.post('/register', authLimiter, [
 
     const { email, password, name, studentId } = req.body;
 
-    // Registration is only for students
+    // Registration is only for students, with an institutional address
     const role = 'student';
 
+    if (!isAllowedEmail(email)) {
+      return res.status(400).json({
+        error: `Registration requires an email address at ${ALLOWED_EMAIL_DOMAINS.join(' or ')}`
+      });
+    }
+
     const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     if (existingUser.rows.length > 0) {
       return res.status(400).json({ error: 'User already exists' });
@@ -56,17 +153,19 @@ router.post('/register', authLimiter, [
     `, [email, passwordHash, role, name, studentId]);
 
     const user = result.rows[0];
-    const token = generateToken(user.id);
 
     await pool.query(`
       INSERT INTO audit_logs (user_id, action, resource_type, new_values)
       VALUES ($1, $2, $3, $4)
     `, [user.id, 'REGISTER', 'user', { email, role, name }]);
 
+    // No session until the address is verified
+    await sendVerificationEmail(user);
+
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'Registration successful. Check your email to verify your account before logging in.',
       user: convertKeysToCamelCase(user),
-      token
+      verificationRequired: true
     });
 
   } catch (error) {
@@ -94,18 +193,35 @@ router.post('/login', authLimiter, [
     const { email, password } = req.body;
 
     const result = await pool.query(`
-      SELECT id, email, password_hash, role, name, student_id, domain_id, is_active
+      SELECT id, email, password_hash, role, name, student_id, domain_id, is_active, email_verified_at,
+             totp_enabled_at, locked_until
       FROM users WHERE email = $1
     `, [email]);
 
     if (result.rows.length === 0) {
+      await loginSecurity.auditFailedLogin(req, null, { email, reason: 'unknown_email' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     const user = result.rows[0];
 
+    // A locked account's password is not even checked, so guessing cannot
+    // continue. The response matches an unknown email so a lockout does not
+    // reveal that the account exists; the owner is emailed instead.
+    const lockedUntil = loginSecurity.lockedUntil(user);
+    if (lockedUntil) {
+      await loginSecurity.auditFailedLogin(req, user.id, { reason: 'locked', locked_until: lockedUntil });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      const failure = await loginSecurity.recordFailedLogin(user);
+      await loginSecurity.auditFailedLogin(req, user.id, {
+        reason: 'invalid_password',
+        failed_attempts: failure.failedAttempts,
+        locked_until: failure.lockedUntil
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -131,32 +247,586 @@ router.post('/login', authLimiter, [
       });
     }
 
-    const token = generateToken(user.id);
+    if (!user.email_verified_at) {
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        verificationRequired: true
+      });
+    }
+
+    // Password accepted; the second step completes the login
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: twoFactor.signChallenge(user.id, '2fa_login')
+      });
+    }
+
+    if (twoFactor.isTwoFactorRequired(user)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up for this account',
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactor.signChallenge(user.id, '2fa_setup')
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Login failed' });
+    }
+  }
+});
+
+router.post('/login/2fa', authLimiter, [
+  body('challengeToken').isString().isLength({ min: 1, max: 1000 }),
+  body('code').optional().isString().isLength({ max: 20 }),
+  body('recoveryCode').optional().isString().isLength({ max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Authentication code or recovery code is required' });
+    }
+
+    const userId = twoFactor.readChallenge(challengeToken, '2fa_login');
+    const user = userId && await findLoginUser(userId);
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const lockedUntil = loginSecurity.lockedUntil(user);
+    if (lockedUntil) {
+      await loginSecurity.auditFailedLogin(req, user.id, { reason: 'locked', locked_until: lockedUntil });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const method = code ? 'totp' : 'recovery_code';
+    const valid = code
+      ? await twoFactor.verifyTotp(user.id, code)
+      : await twoFactor.useRecoveryCode(user.id, recoveryCode);
+
+    if (!valid) {
+      const failure = await loginSecurity.recordFailedLogin(user);
+      await loginSecurity.auditFailedLogin(req, user.id, {
+        reason: 'invalid_two_factor',
+        method,
+        failed_attempts: failure.failedAttempts,
+        locked_until: failure.lockedUntil
+      });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await completeLogin(req, res, user, { two_factor: method });
+
+  } catch (error) {
+    console.error('2FA login error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Login failed' });
+    }
+  }
+});
+
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await twoFactor.twoFactorStatus(req.user.id);
+
+    res.json({
+      ...status,
+      required: twoFactor.isTwoFactorRequired(req.user)
+    });
+
+  } catch (error) {
+    console.error('2FA status error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+  }
+});
+
+router.post('/2fa/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    const enrollment = await twoFactor.beginEnrollment(req.user);
+    if (!enrollment) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    // The secret is only ever returned here; otpauthUrl is meant for a QR code
+    res.json(enrollment);
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+  }
+});
+
+router.post('/2fa/enable', authenticateEnrollment, [
+  body('code').isString().isLength({ min: 1, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await twoFactor.confirmEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'ENABLE_2FA', 'user', req.user.id, req.ip, req.get('User-Agent')]);
+
+    // Enrolling during login also completes that login
+    if (req.setupChallenge) {
+      return await completeLogin(req, res, req.user, { two_factor: 'enrolled' }, { recoveryCodes });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+  }
+});
+
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').isString().isLength({ min: 1, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await twoFactor.verifyTotp(req.user.id, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await twoFactor.generateRecoveryCodes(req.user.id);
 
     await pool.query(`
-      INSERT INTO audit_logs (user_id, action, resource_type, ip_address, user_agent)
-      VALUES ($1, $2, $3, $4, $5)
-    `, [user.id, 'LOGIN', 'user', req.ip, req.get('User-Agent')]);
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'REGENERATE_RECOVERY_CODES', 'user', req.user.id, req.ip, req.get('User-Agent')]);
 
     res.json({
-      message: 'Login successful',
-      user: convertKeysToCamelCase({
-        id: user.id,
-        email: user.email,
-        role: user.role,
+      message: 'New recovery codes generated. The previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to generate recovery codes' });
+    }
+  }
+});
+
+router.post('/2fa/disable', authenticateToken, [
+  body('password').isString().isLength({ min: 1 }),
+  body('code').isString().isLength({ min: 1, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (twoFactor.isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const isValidPassword = await bcrypt.compare(req.body.password, result.rows[0].password_hash);
+    if (!isValidPassword || !(await twoFactor.verifyTotp(req.user.id, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid password or authentication code' });
+    }
+
+    await twoFactor.disableTwoFactor(req.user.id);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'DISABLE_2FA', 'user', req.user.id, req.ip, req.get('User-Agent')]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+  }
+});
+
+router.post('/verify-email', [
+  body('token').isString().isLength({ min: 1, max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const claims = readVerificationToken(req.body.token);
+    if (!claims) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    const result = await pool.query(`
+      SELECT id, email_verified_at FROM users WHERE id = $1 AND email = $2
+    `, [claims.userId, claims.email]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    if (result.rows[0].email_verified_at) {
+      return res.json({ message: 'Email address is already verified' });
+    }
+
+    await pool.query(`
+      UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [claims.userId]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [claims.userId, 'VERIFY_EMAIL', 'user', claims.userId, { email: claims.email },
+        req.ip, req.get('User-Agent')]);
+
+    res.json({ message: 'Email address verified. You can now log in.' });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Email verification failed' });
+    }
+  }
+});
+
+// Like forgot-password, the response never says whether the account exists
+router.post('/resend-verification', authLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(`
+      SELECT id, email, name FROM users
+      WHERE email = $1 AND is_active = true AND email_verified_at IS NULL
+    `, [req.body.email]);
+
+    if (result.rows.length > 0) {
+      await sendVerificationEmail(result.rows[0]);
+    }
+
+    res.json({ message: 'If an unverified account exists for that email, a new verification link has been sent.' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to resend verification email' });
+    }
+  }
+});
+
+// Same response whether or not the account exists, so this cannot be used
+// to discover registered emails
+router.post('/forgot-password', authLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(`
+      SELECT id, email, name FROM users WHERE email = $1 AND is_active = true
+    `, [req.body.email]);
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = await createResetToken(user.id, req.ip);
+
+      await queueEmail(user.email, 'password_reset', {
         name: user.name,
-        student_id: user.student_id,
-        domain_id: user.domain_id
-      }),
-      token
+        token,
+        expiresMinutes: RESET_TOKEN_MINUTES
+      });
+
+      await pool.query(`
+        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, ip_address, user_agent)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [user.id, 'PASSWORD_RESET_REQUESTED', 'user', user.id, req.ip, req.get('User-Agent')]);
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to request password reset' });
+    }
+  }
+});
+
+router.post('/reset-password', authLimiter, [
+  body('token').isString().isLength({ min: 1, max: 200 }),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, 12);
+
+    const client = await pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+
+      const userId = await consumeResetToken(req.body.token, client);
+      if (userId) {
+        const updated = await client.query(`
+          UPDATE users
+          SET password_hash = $1,
+              email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+              failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2 AND is_active = true
+          RETURNING id, email, name
+        `, [passwordHash, userId]);
+        user = updated.rows[0];
+      }
+
+      if (!user) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, ip_address, user_agent)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [user.id, 'PASSWORD_RESET', 'user', user.id, req.ip, req.get('User-Agent')]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Whoever held the old password must not stay signed in
+    await sessions.revokeUserSessions(user.id, 'password_reset');
+    await queueEmail(user.email, 'password_changed', { name: user.name });
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to reset password' });
+    }
+  }
+});
+
+router.post('/refresh', refreshLimiter, [
+  body('refreshToken').isString().isLength({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await sessions.rotateSession(req.body.refreshToken, clientDetails(req));
+
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    if (result.reused) {
+      await pool.query(`
+        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values, ip_address, user_agent)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [result.userId, 'REFRESH_TOKEN_REUSE', 'session', result.sessionId,
+          { revoked: true }, req.ip, req.get('User-Agent')]);
+
+      return res.status(401).json({ error: 'Refresh token was already used. Please log in again.' });
+    }
+
+    // Admin sessions opened before 2FA became required end here, so the
+    // admin has to log in again and set it up
+    if (twoFactor.REQUIRE_ADMIN_2FA) {
+      const userResult = await pool.query(
+        'SELECT role, totp_enabled_at FROM users WHERE id = $1',
+        [result.userId]
+      );
+      const user = userResult.rows[0];
+
+      if (twoFactor.isTwoFactorRequired(user) && !user.totp_enabled_at) {
+        await sessions.revokeUserSessions(result.userId, 'two_factor_required');
+
+        await pool.query(`
+          INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values, ip_address, user_agent)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [result.userId, 'REVOKE_SESSION', 'session', result.sessionId,
+            { reason: 'two_factor_required' }, req.ip, req.get('User-Agent')]);
+
+        return res.status(401).json({
+          error: 'Two-factor authentication must be set up for this account. Please log in again.',
+          twoFactorSetupRequired: true
+        });
+      }
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Token refresh error:', error);
     if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
       res.status(503).json({ error: 'Database connection failed. Please try again later.' });
     } else {
-      res.status(500).json({ error: 'Login failed' });
+      res.status(500).json({ error: 'Token refresh failed' });
+    }
+  }
+});
+
+// Logging out only needs the refresh token, so it works after the access
+// token has expired
+router.post('/logout', [
+  body('refreshToken').isString().isLength({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await sessions.revokeSessionByToken(req.body.refreshToken, 'logout');
+
+    if (session) {
+      await pool.query(`
+        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, ip_address, user_agent)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [session.user_id, 'LOGOUT', 'session', session.id, req.ip, req.get('User-Agent')]);
+    }
+
+    // Unknown or already revoked tokens are not an error: the client is logged out either way
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Logout failed' });
+    }
+  }
+});
+
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const rows = await sessions.listActiveSessions(req.user.id);
+
+    res.json({
+      sessions: convertKeysToCamelCase(rows.map(row => ({
+        ...row,
+        current: row.id === req.sessionId
+      })))
+    });
+
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+  }
+});
+
+router.delete('/sessions/:id', authenticateToken, [
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sessionId = parseInt(req.params.id, 10);
+    const revoked = await sessions.revokeSession(sessionId, req.user.id, 'revoked');
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'REVOKE_SESSION', 'session', sessionId, req.ip, req.get('User-Agent')]);
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to revoke session' });
     }
   }
 });
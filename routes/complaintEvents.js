@@ -0,0 +1,120 @@
+const express = require('express');
+const { authenticateToken, authenticateStream, generateStreamTicket, findSessionUser } = require('../middleware/auth');
+const { latestEventId, fetchEvents } = require('../lib/complaintEvents');
+
+const router = express.Router();
+
+const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+const STREAM_POLL_MS = parseInt(process.env.STREAM_POLL_MS, 10) || 3000;
+const HEARTBEAT_MS = 25000;
+
+// Serverless functions are cut off after their max duration, so streams are
+// closed before that and the client reconnects with Last-Event-ID
+const STREAM_MAX_MS = parseInt(process.env.STREAM_MAX_MS, 10) || (isServerless ? 50000 : 30 * 60 * 1000);
+
+// Suggested interval for clients using the polling fallback
+const POLL_INTERVAL_MS = 15000;
+
+const parseCursor = (value) => {
+  const cursor = parseInt(value, 10);
+  return isNaN(cursor) || cursor < 0 ? null : cursor;
+};
+
+router.post('/stream/ticket', authenticateToken, (req, res) => {
+  res.json({ ticket: generateStreamTicket(req.user.id, req.sessionId), expiresIn: 60 });
+});
+
+router.get('/stream', authenticateStream, async (req, res) => {
+  let cursor;
+  try {
+    cursor = parseCursor(req.get('Last-Event-ID'));
+    if (cursor === null) {
+      cursor = await latestEventId();
+    }
+  } catch (error) {
+    console.error('Complaint stream error:', error);
+    return res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_POLL_MS}\n\n`);
+
+  let closed = false;
+  let polling = false;
+
+  const stop = () => {
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    clearTimeout(endTimer);
+  };
+
+  // The stream outlives the request that opened it, so a logout, a disabled
+  // account or a role or domain change must end it
+  const sessionStillValid = async () => {
+    const current = await findSessionUser(req.user.id, req.sessionId);
+    return Boolean(current && current.is_active && current.session_active &&
+      current.role === req.user.role && current.domain_id === req.user.domain_id);
+  };
+
+  const poll = async () => {
+    if (closed || polling) return;
+    polling = true;
+    try {
+      if (!(await sessionStillValid())) {
+        stop();
+        res.end();
+        return;
+      }
+
+      const events = await fetchEvents(req.user, cursor);
+      for (const event of events) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        cursor = event.id;
+      }
+    } catch (error) {
+      console.error('Complaint stream poll error:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const pollTimer = setInterval(poll, STREAM_POLL_MS);
+  const heartbeatTimer = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  const endTimer = setTimeout(() => res.end(), STREAM_MAX_MS);
+
+  req.on('close', stop);
+});
+
+// Polling fallback for clients or deployments that cannot hold a stream open
+router.get('/events', authenticateToken, async (req, res) => {
+  try {
+    const since = parseCursor(req.query.since);
+
+    if (since === null) {
+      return res.json({ events: [], cursor: await latestEventId(), pollInterval: POLL_INTERVAL_MS });
+    }
+
+    const events = await fetchEvents(req.user, since);
+    const cursor = events.length > 0 ? events[events.length - 1].id : since;
+
+    res.json({ events, cursor, pollInterval: POLL_INTERVAL_MS });
+
+  } catch (error) {
+    console.error('Complaint events fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch complaint events' });
+    }
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,36 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const pool = require('../lib/db');
-const { authenticateToken, requireStudent, requireSubAdmin } = require('../middleware/auth');
+const { authenticateToken, requireRole, requireStudent, requireSubAdmin, requireVerifiedEmail } = require('../middleware/auth');
+const { handleAttachments } = require('../middleware/upload');
+const { saveAttachments } = require('../lib/attachments');
+const { parseComplaintId, findAccessibleComplaint, hidesSubmitter, auditActorId } = require('../lib/complaintAccess');
+const { SLA_JOIN, SLA_COLUMNS, OPEN_STATUSES } = require('../lib/sla');
+const { SORT_COLUMNS, MAX_LIMIT, buildComplaintListQuery } = require('../lib/complaintQuery');
+const notifications = require('../lib/notifications');
+const { findSimilarComplaints, isSimilarCandidate } = require('../lib/duplicates');
+const { endorseComplaint, reevaluatePriority, withdrawEndorsement } = require('../lib/endorsements');
+const { REOPEN_RATING_THRESHOLD, findHandlingAdmin } = require('../lib/ratings');
+const { MAX_TAGS_PER_COMPLAINT, normalizeTag } = require('../lib/tags');
+const { REOPENABLE_STATUSES, REOPEN_WINDOW_DAYS, allowedTransitions, canTransition } = require('../lib/complaintStatus');
 const { convertKeysToCamelCase } = require('../lib/utils');
+const attachmentRoutes = require('./attachments');
+const messageRoutes = require('./messages');
+const complaintEventRoutes = require('./complaintEvents');
+const publicBoardRoutes = require('./publicBoard');
 
 const router = express.Router();
 
-router.post('/', authenticateToken, requireStudent, [
+// /stream and /events must be registered before /:id
+router.use(complaintEventRoutes);
+
+router.post('/', authenticateToken, requireStudent, requireVerifiedEmail, handleAttachments(), [
   body('title').trim().isLength({ min: 5, max: 255 }),
   body('description').trim().isLength({ min: 10 }),
-  body('domainId').isInt()
+  body('domainId').isInt(),
+  body('categoryId').optional({ values: 'falsy' }).isInt().toInt(),
+  body('anonymous').optional().isBoolean().toBoolean(),
+  body('skipDuplicateCheck').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -17,29 +38,81 @@ router.post('/', authenticateToken, requireStudent, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, domainId, priority = 'medium' } = req.body;
+    const { title, description, domainId, priority = 'medium', anonymous = false, skipDuplicateCheck = false } = req.body;
+    const categoryId = req.body.categoryId || null;
 
-    const domainCheck = await pool.query('SELECT id FROM domains WHERE id = $1', [domainId]);
+    const domainCheck = await pool.query(`
+      SELECT d.id,
+             EXISTS (SELECT 1 FROM complaint_categories cat WHERE cat.domain_id = d.id AND cat.is_active = true) as has_categories
+      FROM domains d
+      WHERE d.id = $1 AND d.is_active = true
+    `, [domainId]);
     if (domainCheck.rows.length === 0) {
       return res.status(400).json({ error: 'Invalid domain' });
     }
 
-    const result = await pool.query(`
-      INSERT INTO complaints (title, description, domain_id, student_id, priority)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, title, description, domain_id, status, priority, created_at
-    `, [title, description, domainId, req.user.id, priority]);
+    // Domains with categories require one of their own active categories
+    if (categoryId) {
+      const categoryCheck = await pool.query(`
+        SELECT id FROM complaint_categories WHERE id = $1 AND domain_id = $2 AND is_active = true
+      `, [categoryId, domainId]);
+      if (categoryCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid category for this domain' });
+      }
+    } else if (domainCheck.rows[0].has_categories) {
+      return res.status(400).json({ error: 'Please choose a category' });
+    }
+
+    // Offer existing open complaints first; the client resubmits with
+    // skipDuplicateCheck to file a new one anyway
+    if (!skipDuplicateCheck) {
+      const similarComplaints = await findSimilarComplaints({ title, description, domainId }, req.user.id);
+      if (similarComplaints.length > 0) {
+        return res.status(409).json({
+          error: 'Similar open complaints already exist',
+          similarComplaints: convertKeysToCamelCase(similarComplaints)
+        });
+      }
+    }
+
+    const files = req.files || [];
+    let complaint;
+    let attachments;
 
-    const complaint = result.rows[0];
+    // Complaint and attachment rows are written together so a failed upload
+    // never leaves a half-submitted complaint behind
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO complaints (title, description, domain_id, category_id, student_id, priority, sla_priority, anonymous)
+        VALUES ($1, $2, $3, $4, $5, $6, $6, $7)
+        RETURNING id, title, description, domain_id, category_id, status, priority, anonymous, created_at
+      `, [title, description, domainId, categoryId, req.user.id, priority, anonymous]);
+
+      complaint = result.rows[0];
+      attachments = await saveAttachments(client, complaint.id, req.user.id, files);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     await pool.query(`
       INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
       VALUES ($1, $2, $3, $4, $5)
-    `, [req.user.id, 'CREATE', 'complaint', complaint.id, { title, domainId, priority }]);
+    `, [auditActorId(req.user, { ...complaint, student_id: req.user.id }), 'CREATE', 'complaint', complaint.id,
+        { title, domainId, categoryId, priority, anonymous, attachment_count: attachments.length }]);
+
+    await notifications.complaintCreated(complaint.id);
 
     res.status(201).json({
       message: 'Complaint submitted successfully',
-      complaint: convertKeysToCamelCase(complaint)
+      complaint: convertKeysToCamelCase({ ...complaint, attachments })
     });
 
   } catch (error) {
@@ -54,48 +127,56 @@ router.post('/', authenticateToken, requireStudent, [
   }
 });
 
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    let query, params;
+const STATUS_LIST = /^(pending|in_progress|resolved|rejected|reopened|merged)(,(pending|in_progress|resolved|rejected|reopened|merged))*$/;
+const PRIORITY_LIST = /^(low|medium|high)(,(low|medium|high))*$/;
 
-    if (req.user.role === 'student') {
-      query = `
-        SELECT c.id, c.title, c.description, c.status, c.priority, c.resolution_details,
-               c.resolved_at, c.created_at, c.updated_at, c.admin_seen, c.admin_read_at,
-               d.name as domain_name
-        FROM complaints c
-        JOIN domains d ON c.domain_id = d.id
-        WHERE c.student_id = $1
-        ORDER BY c.created_at DESC
-      `;
-      params = [req.user.id];
-    } else if (req.user.role === 'sub_admin') {
-      query = `
-        SELECT c.id, c.title, c.description, c.status, c.priority, c.resolution_details,
-               c.resolved_at, c.created_at, c.updated_at,
-               d.name as domain_name
-        FROM complaints c
-        JOIN domains d ON c.domain_id = d.id
-        WHERE c.domain_id = $1
-        ORDER BY c.created_at DESC
-      `;
-      params = [req.user.domain_id];
-    } else {
-      query = `
-        SELECT c.id, c.title, c.description, c.status, c.priority, c.resolution_details,
-               c.resolved_at, c.created_at, c.updated_at,
-               d.name as domain_name,
-               u.name as student_name, u.email as student_email, u.student_id
-        FROM complaints c
-        JOIN domains d ON c.domain_id = d.id
-        JOIN users u ON c.student_id = u.id
-        ORDER BY c.created_at DESC
-      `;
-      params = [];
+router.get('/', authenticateToken, [
+  query('q').optional().trim().isLength({ min: 1, max: 200 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+  query('status').optional().matches(STATUS_LIST),
+  query('priority').optional().matches(PRIORITY_LIST),
+  query('domainId').optional().isInt(),
+  query('categoryId').optional().matches(/^\d+(,\d+)*$/),
+  query('tag').optional().isLength({ min: 1, max: 400 }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('seen').optional().isBoolean().toBoolean(),
+  query('assignee').optional().custom(value => ['me', 'unassigned'].includes(value) || /^\d+$/.test(value)),
+  query('sort').optional().isIn(Object.keys(SORT_COLUMNS)),
+  query('order').optional().isIn(['asc', 'desc'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await pool.query(query, params);
-    res.json({ complaints: convertKeysToCamelCase(result.rows) });
+    const {
+      query: listQuery, params, countQuery, countParams, categoryFacetQuery, tagFacetQuery, page, limit
+    } = buildComplaintListQuery(req.user, req.query);
+
+    const [result, countResult, categoryFacets, tagFacets] = await Promise.all([
+      pool.query(listQuery, params),
+      pool.query(countQuery, countParams),
+      pool.query(categoryFacetQuery, countParams),
+      tagFacetQuery ? pool.query(tagFacetQuery, countParams) : null
+    ]);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    res.json({
+      complaints: convertKeysToCamelCase(result.rows),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      facets: {
+        categories: convertKeysToCamelCase(categoryFacets.rows),
+        ...(tagFacets && { tags: tagFacets.rows })
+      }
+    });
 
   } catch (error) {
     console.error('Complaint fetch error:', error);
@@ -107,33 +188,95 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/public', async (req, res) => {
+router.post('/similar', authenticateToken, requireStudent, [
+  body('title').trim().isLength({ min: 5, max: 255 }),
+  body('description').optional().trim(),
+  body('domainId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, domainId } = req.body;
+    const similarComplaints = await findSimilarComplaints({ title, description, domainId }, req.user.id);
+
+    res.json({ similarComplaints: convertKeysToCamelCase(similarComplaints) });
+
+  } catch (error) {
+    console.error('Similar complaints fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to check for similar complaints' });
+    }
+  }
+});
+
+// Tags in use within the admin's scope, for filter pickers
+router.get('/tags', authenticateToken, requireSubAdmin, async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT c.id, c.title, c.resolution_details, c.resolved_at,
-             d.name as domain_name
-      FROM complaints c
+      SELECT t.tag, COUNT(*)::int as count
+      FROM complaint_tags t
+      JOIN complaints c ON t.complaint_id = c.id
+      WHERE ($1::int IS NULL OR c.domain_id = $1)
+      GROUP BY t.tag
+      ORDER BY count DESC, t.tag
+    `, [req.user.role === 'sub_admin' ? req.user.domain_id : null]);
+
+    res.json({ tags: result.rows });
+
+  } catch (error) {
+    console.error('Tags fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+  }
+});
+
+// Complaints the student joined instead of filing a duplicate. Only the
+// fields that are safe to share with other students are returned.
+router.get('/joined', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.id, c.title, c.status, c.created_at, c.updated_at, c.resolved_at,
+             CASE WHEN c.status = 'resolved' THEN c.resolution_details END as resolution_details,
+             d.name as domain_name, f.created_at as joined_at,
+             (SELECT COUNT(*) FROM complaint_endorsements e WHERE e.complaint_id = c.id) as endorsement_count,
+             EXISTS (SELECT 1 FROM complaint_endorsements e WHERE e.complaint_id = c.id AND e.user_id = $1) as endorsed
+      FROM complaint_followers f
+      JOIN complaints c ON f.complaint_id = c.id
       JOIN domains d ON c.domain_id = d.id
-      WHERE c.status = 'resolved'
-      ORDER BY c.resolved_at DESC
-      LIMIT 50
-    `);
+      WHERE f.user_id = $1
+      ORDER BY f.created_at DESC
+    `, [req.user.id]);
 
     res.json({ complaints: convertKeysToCamelCase(result.rows) });
 
   } catch (error) {
-    console.error('Public complaints fetch error:', error);
+    console.error('Joined complaints fetch error:', error);
     if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
       res.status(503).json({ error: 'Database connection failed. Please try again later.' });
     } else {
-      res.status(500).json({ error: 'Failed to fetch public complaints' });
+      res.status(500).json({ error: 'Failed to fetch joined complaints' });
     }
   }
 });
 
+// Public transparency board (no login required)
+router.use('/public', publicBoardRoutes);
+
 router.put('/:id', authenticateToken, requireSubAdmin, [
   body('status').isIn(['pending', 'in_progress', 'resolved', 'rejected']),
-  body('resolutionDetails').optional().trim()
+  body('resolutionDetails').optional().trim(),
+  body('resolutionDetails')
+    .if(body('status').equals('rejected'))
+    .isLength({ min: 10 })
+    .withMessage('A reason of at least 10 characters is required to reject a complaint')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -165,30 +308,61 @@ router.put('/:id', authenticateToken, requireSubAdmin, [
     }
 
     const oldStatus = complaintQuery.rows[0].status;
-    const updateFields = ['status = $1', 'updated_at = CURRENT_TIMESTAMP'];
+
+    if (oldStatus === status) {
+      return res.status(400).json({ error: `Complaint is already ${status}` });
+    }
+
+    if (!canTransition(oldStatus, status)) {
+      return res.status(409).json({
+        error: `Cannot change status from ${oldStatus} to ${status}`,
+        allowedStatuses: allowedTransitions(oldStatus)
+      });
+    }
+
+    const updateFields = [
+      'status = $1',
+      'updated_at = CURRENT_TIMESTAMP',
+      'first_response_at = COALESCE(first_response_at, CURRENT_TIMESTAMP)'
+    ];
     const params = [status];
     let paramIndex = 2;
 
-    if (resolutionDetails && status === 'resolved') {
+    if (resolutionDetails && (status === 'resolved' || status === 'rejected')) {
       updateFields.push(`resolution_details = $${paramIndex}`);
       params.push(resolutionDetails);
       paramIndex++;
-      updateFields.push(`resolved_at = CURRENT_TIMESTAMP`);
     }
 
-    params.push(complaintId);
+    if (status === 'resolved') {
+      updateFields.push('resolved_at = CURRENT_TIMESTAMP');
+    }
 
-    await pool.query(`
+    if (status === 'resolved' || status === 'rejected') {
+      updateFields.push('closed_at = CURRENT_TIMESTAMP');
+    }
+
+    params.push(complaintId, oldStatus);
+
+    // Guard against a concurrent status change between the read and the write
+    const updateResult = await pool.query(`
       UPDATE complaints 
       SET ${updateFields.join(', ')}
-      WHERE id = $${paramIndex}
+      WHERE id = $${paramIndex} AND status = $${paramIndex + 1}
+      RETURNING id
     `, params);
 
+    if (updateResult.rows.length === 0) {
+      return res.status(409).json({ error: 'Complaint status changed, please reload and try again' });
+    }
+
     await pool.query(`
       INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
       VALUES ($1, $2, $3, $4, $5, $6)
     `, [req.user.id, 'UPDATE', 'complaint', complaintId, { status: oldStatus }, { status, resolutionDetails }]);
 
+    await notifications.complaintStatusChanged(complaintId, oldStatus);
+
     res.json({ message: 'Complaint updated successfully' });
 
   } catch (error) {
@@ -203,6 +377,227 @@ router.put('/:id', authenticateToken, requireSubAdmin, [
   }
 });
 
+/**
+ * Reopen a closed complaint on behalf of its student. The reason is kept in
+ * the conversation so admins see why it came back. Callers send the status
+ * notification once their changes are committed.
+ * @param {Object} complaint - Row with id, status, student_id and anonymous
+ * @param {Object} user - The student (req.user)
+ * @param {string} reason - Student's explanation
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object|null>} - Updated row, or null if the status changed meanwhile
+ */
+const reopenComplaint = async (complaint, user, reason, db = pool) => {
+  const updateResult = await db.query(`
+    UPDATE complaints
+    SET status = 'reopened', resolved_at = NULL, closed_at = NULL,
+        reopen_count = reopen_count + 1, sla_started_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = $2
+    RETURNING id, status, reopen_count
+  `, [complaint.id, complaint.status]);
+
+  if (updateResult.rows.length === 0) {
+    return null;
+  }
+
+  await db.query(`
+    INSERT INTO complaint_messages (complaint_id, author_id, author_role, body)
+    VALUES ($1, $2, $3, $4)
+  `, [complaint.id, user.id, user.role, reason]);
+
+  await db.query(`
+    INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [auditActorId(user, complaint), 'REOPEN', 'complaint', complaint.id,
+      { status: complaint.status }, { status: 'reopened', reason }]);
+
+  return updateResult.rows[0];
+};
+
+router.post('/:id/reopen', authenticateToken, requireRole(['student']), [
+  body('reason').trim().isLength({ min: 10, max: 2000 })
+    .withMessage('Please explain in at least 10 characters why the complaint should be reopened')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const { reason } = req.body;
+
+    const complaintQuery = await pool.query(`
+      SELECT id, student_id, status, anonymous,
+             COALESCE(closed_at, resolved_at, updated_at) + make_interval(days => $3) > CURRENT_TIMESTAMP as within_window
+      FROM complaints
+      WHERE id = $1 AND student_id = $2
+    `, [complaintId, req.user.id, REOPEN_WINDOW_DAYS]);
+
+    if (complaintQuery.rows.length === 0) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const complaint = complaintQuery.rows[0];
+
+    if (!REOPENABLE_STATUSES.includes(complaint.status)) {
+      return res.status(409).json({ error: 'Only resolved or rejected complaints can be reopened' });
+    }
+
+    if (!complaint.within_window) {
+      return res.status(409).json({
+        error: `Complaints can only be reopened within ${REOPEN_WINDOW_DAYS} days of being closed`
+      });
+    }
+
+    const reopened = await reopenComplaint(complaint, req.user, reason);
+    if (!reopened) {
+      return res.status(409).json({ error: 'Complaint status changed, please reload and try again' });
+    }
+
+    await notifications.complaintStatusChanged(complaintId, complaint.status);
+
+    res.json({
+      message: 'Complaint reopened successfully',
+      complaint: convertKeysToCamelCase(reopened)
+    });
+
+  } catch (error) {
+    console.error('Complaint reopen error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to reopen complaint' });
+    }
+  }
+});
+
+// A rating at or below REOPEN_RATING_THRESHOLD can reopen the complaint in the
+// same request, with the comment as the reopen reason
+router.post('/:id/rating', authenticateToken, requireRole(['student']), [
+  body('rating').isInt({ min: 1, max: 5 }).toInt(),
+  body('comment').optional({ nullable: true }).trim().isLength({ max: 2000 }),
+  body('reopen').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const { rating, reopen = false } = req.body;
+    const comment = req.body.comment || null;
+
+    if (reopen && rating > REOPEN_RATING_THRESHOLD) {
+      return res.status(400).json({
+        error: `Only ratings of ${REOPEN_RATING_THRESHOLD} or lower can reopen a complaint`
+      });
+    }
+    if (reopen && (!comment || comment.length < 10)) {
+      return res.status(400).json({
+        error: 'Please explain in at least 10 characters why the complaint should be reopened'
+      });
+    }
+
+    const complaintQuery = await pool.query(`
+      SELECT id, student_id, status, anonymous,
+             COALESCE(closed_at, resolved_at, updated_at) + make_interval(days => $3) > CURRENT_TIMESTAMP as within_window
+      FROM complaints
+      WHERE id = $1 AND student_id = $2
+    `, [complaintId, req.user.id, REOPEN_WINDOW_DAYS]);
+
+    if (complaintQuery.rows.length === 0) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const complaint = complaintQuery.rows[0];
+
+    if (complaint.status !== 'resolved') {
+      return res.status(409).json({ error: 'Only resolved complaints can be rated' });
+    }
+
+    if (reopen && !complaint.within_window) {
+      return res.status(409).json({
+        error: `Complaints can only be reopened within ${REOPEN_WINDOW_DAYS} days of being closed`
+      });
+    }
+
+    const handledBy = await findHandlingAdmin(complaintId);
+
+    // The rating and the reopen it asks for are stored together or not at all
+    let result;
+    let reopened = null;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const statusResult = await client.query(`
+        SELECT status FROM complaints WHERE id = $1 FOR UPDATE
+      `, [complaintId]);
+
+      if (statusResult.rows[0].status !== complaint.status) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Complaint status changed, please reload and try again' });
+      }
+
+      // Rating again after a later resolution replaces the earlier rating
+      result = await client.query(`
+        INSERT INTO complaint_ratings (complaint_id, student_id, handled_by, rating, comment)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (complaint_id) DO UPDATE
+        SET handled_by = EXCLUDED.handled_by, rating = EXCLUDED.rating,
+            comment = EXCLUDED.comment, updated_at = CURRENT_TIMESTAMP
+        RETURNING rating, comment, created_at, updated_at
+      `, [complaintId, req.user.id, handledBy, rating, comment]);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [auditActorId(req.user, complaint), 'RATE', 'complaint', complaintId,
+          { rating, comment, handled_by: handledBy }]);
+
+      if (reopen) {
+        reopened = await reopenComplaint(complaint, req.user, comment, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (reopened) {
+      await notifications.complaintStatusChanged(complaintId, complaint.status);
+    }
+
+    res.status(201).json({
+      message: reopened ? 'Thank you for your feedback. The complaint has been reopened.' : 'Thank you for your feedback',
+      rating: convertKeysToCamelCase(result.rows[0]),
+      ...(reopened && { complaint: convertKeysToCamelCase(reopened) })
+    });
+
+  } catch (error) {
+    console.error('Complaint rating error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to rate complaint' });
+    }
+  }
+});
+
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -216,32 +611,63 @@ router.get('/:id', authenticateToken, async (req, res) => {
     if (req.user.role === 'student') {
       query = `
         SELECT c.id, c.title, c.description, c.status, c.priority, c.resolution_details,
-               c.resolved_at, c.created_at, c.updated_at,
-               d.name as domain_name
+               c.resolved_at, c.created_at, c.updated_at, c.anonymous, c.merged_into,
+               d.name as domain_name,
+               (SELECT COUNT(*) FROM complaint_endorsements e WHERE e.complaint_id = c.id) as endorsement_count,
+               r.rating, r.comment as rating_comment, r.updated_at as rated_at,
+               c.category_id, cat.name as category_name,
+               a.name as assignee_name,
+               ${SLA_COLUMNS}
         FROM complaints c
         JOIN domains d ON c.domain_id = d.id
+        LEFT JOIN users a ON c.assigned_to = a.id
+        LEFT JOIN complaint_ratings r ON r.complaint_id = c.id
+        LEFT JOIN complaint_categories cat ON c.category_id = cat.id
+        ${SLA_JOIN}
         WHERE c.id = $1 AND c.student_id = $2
       `;
       result = await pool.query(query, [complaintId, req.user.id]);
     } else if (req.user.role === 'sub_admin') {
       query = `
         SELECT c.id, c.title, c.description, c.status, c.priority, c.resolution_details,
-               c.resolved_at, c.created_at, c.updated_at,
-               d.name as domain_name
+               c.resolved_at, c.created_at, c.updated_at, c.anonymous, c.merged_into,
+               d.name as domain_name,
+               (SELECT COUNT(*) FROM complaint_endorsements e WHERE e.complaint_id = c.id) as endorsement_count,
+               r.rating, r.comment as rating_comment, r.updated_at as rated_at,
+               c.category_id, cat.name as category_name,
+               c.assigned_to, a.name as assignee_name,
+               ARRAY(SELECT t.tag FROM complaint_tags t WHERE t.complaint_id = c.id ORDER BY t.tag) as tags,
+               ${SLA_COLUMNS}
         FROM complaints c
         JOIN domains d ON c.domain_id = d.id
+        LEFT JOIN users a ON c.assigned_to = a.id
+        LEFT JOIN complaint_ratings r ON r.complaint_id = c.id
+        LEFT JOIN complaint_categories cat ON c.category_id = cat.id
+        ${SLA_JOIN}
         WHERE c.id = $1 AND c.domain_id = $2
       `;
       result = await pool.query(query, [complaintId, req.user.domain_id]);
     } else {
       query = `
         SELECT c.id, c.title, c.description, c.status, c.priority, c.resolution_details,
-               c.resolved_at, c.created_at, c.updated_at,
+               c.resolved_at, c.created_at, c.updated_at, c.anonymous, c.merged_into,
                d.name as domain_name,
-               u.name as student_name, u.email as student_email, u.student_id
+               (SELECT COUNT(*) FROM complaint_endorsements e WHERE e.complaint_id = c.id) as endorsement_count,
+               r.rating, r.comment as rating_comment, r.updated_at as rated_at,
+               c.category_id, cat.name as category_name,
+               CASE WHEN c.anonymous THEN NULL ELSE u.name END as student_name,
+               CASE WHEN c.anonymous THEN NULL ELSE u.email END as student_email,
+               CASE WHEN c.anonymous THEN NULL ELSE u.student_id END as student_id,
+               c.assigned_to, a.name as assignee_name,
+               ARRAY(SELECT t.tag FROM complaint_tags t WHERE t.complaint_id = c.id ORDER BY t.tag) as tags,
+               ${SLA_COLUMNS}
         FROM complaints c
         JOIN domains d ON c.domain_id = d.id
         JOIN users u ON c.student_id = u.id
+        LEFT JOIN users a ON c.assigned_to = a.id
+        LEFT JOIN complaint_ratings r ON r.complaint_id = c.id
+        LEFT JOIN complaint_categories cat ON c.category_id = cat.id
+        ${SLA_JOIN}
         WHERE c.id = $1
       `;
       result = await pool.query(query, [complaintId]);
@@ -251,7 +677,43 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Complaint not found' });
     }
 
-    res.json({ complaint: convertKeysToCamelCase(result.rows[0]) });
+    // Uploader IDs would identify the submitter to admins who may not know them
+    const attachmentsResult = await pool.query(`
+      SELECT ca.id, ca.filename, ca.file_size, ca.mime_type, ca.uploaded_at,
+             CASE WHEN $2 AND ca.uploaded_by = c.student_id THEN NULL ELSE ca.uploaded_by END as uploaded_by
+      FROM complaint_attachments ca
+      JOIN complaints c ON ca.complaint_id = c.id
+      WHERE ca.complaint_id = $1
+      ORDER BY ca.uploaded_at ASC
+    `, [complaintId, hidesSubmitter(req.user, result.rows[0])]);
+
+    // A merged complaint reports the progress of the one it was merged into
+    let mergedIntoComplaint = null;
+    if (result.rows[0].merged_into) {
+      const parentResult = await pool.query(`
+        SELECT id, title, status, resolution_details, resolved_at, updated_at
+        FROM complaints WHERE id = $1
+      `, [result.rows[0].merged_into]);
+      mergedIntoComplaint = parentResult.rows[0] || null;
+    }
+
+    const mergedResult = await pool.query(`
+      SELECT id, title, created_at, closed_at as merged_at
+      FROM complaints
+      WHERE merged_into = $1
+      ORDER BY created_at ASC
+    `, [complaintId]);
+
+    // Students only learn how many duplicates exist, not what others wrote
+    const merged = {
+      mergedIntoComplaint,
+      mergedCount: mergedResult.rows.length,
+      ...(req.user.role !== 'student' && { mergedComplaints: mergedResult.rows })
+    };
+
+    res.json({
+      complaint: convertKeysToCamelCase({ ...result.rows[0], ...merged, attachments: attachmentsResult.rows })
+    });
 
   } catch (error) {
     console.error('Complaint fetch error:', error);
@@ -263,6 +725,206 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Lets the submitter see every identity reveal step taken on their complaint
+router.get('/:id/identity-reveals', authenticateToken, requireRole(['student', 'super_admin']), async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT al.action, al.created_at, u.name as actor_name,
+             al.new_values->>'request_id' as request_id,
+             al.new_values->>'status' as status
+      FROM audit_logs al
+      LEFT JOIN users u ON al.user_id = u.id
+      WHERE al.resource_type = 'complaint'
+        AND al.resource_id = $1
+        AND al.action IN ('REVEAL_REQUEST', 'REVEAL_APPROVE', 'REVEAL_REJECT', 'REVEAL_IDENTITY')
+      ORDER BY al.created_at ASC
+    `, [complaintId]);
+
+    res.json({ events: convertKeysToCamelCase(result.rows) });
+
+  } catch (error) {
+    console.error('Identity reveal log fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch identity reveal history' });
+    }
+  }
+});
+
+// Join a complaint offered as a duplicate of the student's draft. The draft
+// is sent again so only complaints that were actually suggested can be joined.
+router.post('/:id/join', authenticateToken, requireRole(['student']), [
+  body('title').trim().isLength({ min: 5, max: 255 }),
+  body('description').optional().trim(),
+  body('domainId').isInt().toInt()
+], async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, domainId } = req.body;
+    if (!(await isSimilarCandidate(complaintId, { title, description, domainId }, req.user.id))) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO complaint_followers (complaint_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (complaint_id, user_id) DO NOTHING
+      RETURNING created_at
+    `, [complaintId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'You have already joined this complaint' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id)
+      VALUES ($1, $2, $3, $4)
+    `, [req.user.id, 'JOIN', 'complaint', complaintId]);
+
+    // Joining means the issue affects this student too
+    const { endorsementCount } = await endorseComplaint(complaintId, req.user.id);
+
+    res.status(201).json({ message: 'You will be notified about updates to this complaint', endorsementCount });
+
+  } catch (error) {
+    console.error('Complaint join error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to join complaint' });
+    }
+  }
+});
+
+router.delete('/:id/join', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const result = await pool.query(`
+      DELETE FROM complaint_followers WHERE complaint_id = $1 AND user_id = $2
+    `, [complaintId, req.user.id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'You have not joined this complaint' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id)
+      VALUES ($1, $2, $3, $4)
+    `, [req.user.id, 'LEAVE', 'complaint', complaintId]);
+
+    res.json({ message: 'You have left this complaint' });
+
+  } catch (error) {
+    console.error('Complaint leave error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to leave complaint' });
+    }
+  }
+});
+
+// Endorsements are not audited per student so that who endorsed stays private.
+// Students see other students' open complaints only when they joined them or
+// were offered them for a draft, so those are the only ones they can endorse.
+router.post('/:id/endorse', authenticateToken, requireRole(['student']), [
+  body('title').optional().trim().isLength({ min: 5, max: 255 }),
+  body('description').optional().trim(),
+  body('domainId').optional().isInt().toInt()
+], async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const joinedQuery = await pool.query(`
+      SELECT c.id FROM complaints c
+      JOIN domains d ON c.domain_id = d.id
+      JOIN complaint_followers f ON f.complaint_id = c.id AND f.user_id = $2
+      WHERE c.id = $1 AND c.status = ANY($3) AND d.is_active = true AND c.student_id <> $2
+    `, [complaintId, req.user.id, OPEN_STATUSES]);
+
+    const { title, description, domainId } = req.body;
+    const visible = joinedQuery.rows.length > 0 || (title && domainId &&
+      await isSimilarCandidate(complaintId, { title, description, domainId }, req.user.id));
+
+    if (!visible) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const { added, endorsementCount } = await endorseComplaint(complaintId, req.user.id);
+
+    if (!added) {
+      return res.status(409).json({ error: 'You have already endorsed this complaint' });
+    }
+
+    res.status(201).json({ message: 'Complaint endorsed', endorsementCount });
+
+  } catch (error) {
+    console.error('Complaint endorse error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to endorse complaint' });
+    }
+  }
+});
+
+router.delete('/:id/endorse', authenticateToken, requireRole(['student']), async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const { removed, endorsementCount } = await withdrawEndorsement(complaintId, req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'You have not endorsed this complaint' });
+    }
+
+    res.json({ message: 'Endorsement withdrawn', endorsementCount });
+
+  } catch (error) {
+    console.error('Complaint endorsement withdraw error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to withdraw endorsement' });
+    }
+  }
+});
+
 router.put('/:id/mark-seen', authenticateToken, requireSubAdmin, async (req, res) => {
   try {
     const { id } = req.params;
@@ -298,6 +960,11 @@ router.put('/:id/mark-seen', authenticateToken, requireSubAdmin, async (req, res
       VALUES ($1, $2, $3, $4, $5)
     `, [req.user.id, 'MARK_SEEN', 'complaint', complaintId, { admin_seen: true }]);
 
+    // Only the first time an admin opens the complaint is worth telling the student
+    if (!complaintQuery.rows[0].admin_seen) {
+      await notifications.complaintSeen(complaintId);
+    }
+
     res.json({ message: 'Complaint marked as seen' });
 
   } catch (error) {
@@ -329,7 +996,7 @@ router.post('/:id/transfer', authenticateToken, requireSubAdmin, [
     const { toDomainId, reason } = req.body;
 
     const complaintQuery = await pool.query(`
-      SELECT c.id, c.domain_id, d.name as current_domain
+      SELECT c.id, c.domain_id, c.assigned_to, c.category_id, d.name as current_domain
       FROM complaints c
       JOIN domains d ON c.domain_id = d.id
       WHERE c.id = $1
@@ -345,9 +1012,15 @@ router.post('/:id/transfer', authenticateToken, requireSubAdmin, [
       return res.status(400).json({ error: 'Cannot transfer to the same domain' });
     }
 
+    const targetDomain = await pool.query('SELECT id FROM domains WHERE id = $1 AND is_active = true', [toDomainId]);
+    if (targetDomain.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid domain' });
+    }
+
+    // The current assignee and category belong to the old domain, so both are dropped
     await pool.query(`
       UPDATE complaints 
-      SET domain_id = $1, updated_at = CURRENT_TIMESTAMP
+      SET domain_id = $1, assigned_to = NULL, category_id = NULL, updated_at = CURRENT_TIMESTAMP
       WHERE id = $2
     `, [toDomainId, complaintId]);
 
@@ -360,8 +1033,10 @@ router.post('/:id/transfer', authenticateToken, requireSubAdmin, [
       INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
       VALUES ($1, $2, $3, $4, $5, $6)
     `, [req.user.id, 'TRANSFER', 'complaint', complaintId, 
-        { domain_id: currentDomainId }, 
-        { domain_id: toDomainId, transfer_reason: reason }]);
+        { domain_id: currentDomainId, assigned_to: complaintQuery.rows[0].assigned_to, category_id: complaintQuery.rows[0].category_id }, 
+        { domain_id: toDomainId, transfer_reason: reason, assigned_to: null, category_id: null }]);
+
+    await notifications.complaintTransferred(complaintId, complaintQuery.rows[0].current_domain, reason);
 
     res.json({ message: 'Complaint transferred successfully' });
 
@@ -377,4 +1052,410 @@ router.post('/:id/transfer', authenticateToken, requireSubAdmin, [
   }
 });
 
+router.post('/:id/merge', authenticateToken, requireSubAdmin, [
+  body('childIds').isArray({ min: 1, max: 50 }).withMessage('childIds must list 1 to 50 complaint IDs'),
+  body('childIds.*').isInt({ min: 1 }).toInt(),
+  body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parentId = parseComplaintId(req.params.id);
+    if (!parentId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const childIds = [...new Set(req.body.childIds)];
+    const reason = req.body.reason || null;
+
+    if (childIds.includes(parentId)) {
+      return res.status(400).json({ error: 'A complaint cannot be merged into itself' });
+    }
+
+    const parent = await findAccessibleComplaint(req.user, parentId);
+    if (!parent) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+    if (parent.status === 'merged') {
+      return res.status(409).json({ error: 'Cannot merge into a complaint that was itself merged' });
+    }
+
+    // Sub-admins may only merge complaints from their own domain
+    const childQuery = await pool.query(`
+      SELECT id, status, domain_id FROM complaints
+      WHERE id = ANY($1) AND ($2::int IS NULL OR domain_id = $2)
+    `, [childIds, req.user.role === 'sub_admin' ? req.user.domain_id : null]);
+
+    if (childQuery.rows.length !== childIds.length) {
+      const found = childQuery.rows.map(row => row.id);
+      return res.status(404).json({
+        error: 'Some complaints were not found',
+        missingIds: childIds.filter(childId => !found.includes(childId))
+      });
+    }
+
+    const closed = childQuery.rows.filter(row => !OPEN_STATUSES.includes(row.status));
+    if (closed.length > 0) {
+      return res.status(409).json({
+        error: 'Only open complaints can be merged',
+        closedIds: closed.map(row => row.id)
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Re-check the status so a complaint closed meanwhile is not merged
+      const mergeResult = await client.query(`
+        UPDATE complaints
+        SET status = 'merged', merged_into = $1, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ANY($2) AND status = ANY($3)
+        RETURNING id
+      `, [parentId, childIds, OPEN_STATUSES]);
+
+      if (mergeResult.rows.length !== childIds.length) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Some complaints changed status. Please refresh and try again.' });
+      }
+
+      // Keep a single level: anything merged into a child now points at the parent
+      await client.query(`
+        UPDATE complaints SET merged_into = $1 WHERE merged_into = ANY($2)
+      `, [parentId, childIds]);
+
+      // Students who joined a duplicate keep receiving updates
+      await client.query(`
+        INSERT INTO complaint_followers (complaint_id, user_id)
+        SELECT DISTINCT $1::int, f.user_id FROM complaint_followers f
+        WHERE f.complaint_id = ANY($2) AND f.user_id <> $3
+        ON CONFLICT (complaint_id, user_id) DO NOTHING
+      `, [parentId, childIds, parent.student_id]);
+
+      // Submitters and endorsers of the duplicates are affected by the parent too
+      await client.query(`
+        INSERT INTO complaint_endorsements (complaint_id, user_id)
+        SELECT DISTINCT $1::int, affected.user_id FROM (
+          SELECT e.user_id FROM complaint_endorsements e WHERE e.complaint_id = ANY($2)
+          UNION
+          SELECT m.student_id FROM complaints m WHERE m.id = ANY($2)
+        ) affected
+        WHERE affected.user_id <> $3
+        ON CONFLICT (complaint_id, user_id) DO NOTHING
+      `, [parentId, childIds, parent.student_id]);
+
+      await client.query(`
+        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [req.user.id, 'MERGE', 'complaint', parentId, { merged_ids: childIds, reason }]);
+
+      for (const child of childQuery.rows) {
+        await client.query(`
+          INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [req.user.id, 'MERGED_INTO', 'complaint', child.id,
+            { status: child.status }, { status: 'merged', merged_into: parentId, reason }]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // The copied endorsements may push the parent over the priority threshold
+    await reevaluatePriority(parentId);
+    await notifications.complaintsMerged(parentId, childIds, reason);
+
+    res.json({
+      message: `${childIds.length} complaint(s) merged successfully`,
+      parentId,
+      mergedIds: childIds
+    });
+
+  } catch (error) {
+    console.error('Complaint merge error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to merge complaints' });
+    }
+  }
+});
+
+const ASSIGNMENT_ACTIONS = {
+  assign: { auditAction: 'ASSIGN', message: 'Complaint assigned successfully' },
+  reassign: { auditAction: 'REASSIGN', message: 'Complaint reassigned successfully' },
+  unassign: { auditAction: 'UNASSIGN', message: 'Complaint unassigned successfully' }
+};
+
+/**
+ * Build the handler for assign / reassign / unassign.
+ * Only admins who can see the complaint may change its assignee, and the
+ * assignee must be an active sub_admin of the complaint's domain.
+ * @param {string} mode - 'assign', 'reassign' or 'unassign'
+ */
+const changeAssignment = (mode) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const currentAssignee = complaint.assigned_to;
+    if (mode === 'assign' && currentAssignee) {
+      return res.status(409).json({ error: 'Complaint is already assigned. Use reassign instead.' });
+    }
+    if (mode !== 'assign' && !currentAssignee) {
+      return res.status(409).json({ error: 'Complaint is not assigned' });
+    }
+
+    let assignee = null;
+    if (mode !== 'unassign') {
+      const assigneeId = parseInt(req.body.assigneeId, 10);
+      if (assigneeId === currentAssignee) {
+        return res.status(400).json({ error: 'Complaint is already assigned to this user' });
+      }
+
+      const assigneeQuery = await pool.query(`
+        SELECT id, name FROM users
+        WHERE id = $1 AND role = 'sub_admin' AND domain_id = $2 AND is_active = true
+      `, [assigneeId, complaint.domain_id]);
+
+      if (assigneeQuery.rows.length === 0) {
+        return res.status(400).json({ error: 'Assignee must be an active sub-admin of the complaint\'s domain' });
+      }
+      assignee = assigneeQuery.rows[0];
+    }
+
+    // Only apply the change if nobody else changed the assignee in the meantime
+    const updateResult = await pool.query(`
+      UPDATE complaints
+      SET assigned_to = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND assigned_to IS NOT DISTINCT FROM $3
+      RETURNING id
+    `, [assignee ? assignee.id : null, complaintId, currentAssignee]);
+
+    if (updateResult.rows.length === 0) {
+      return res.status(409).json({ error: 'Complaint assignment changed, please reload and try again' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, ASSIGNMENT_ACTIONS[mode].auditAction, 'complaint', complaintId,
+        { assigned_to: currentAssignee },
+        { assigned_to: assignee ? assignee.id : null }]);
+
+    res.json({
+      message: ASSIGNMENT_ACTIONS[mode].message,
+      assignment: convertKeysToCamelCase({
+        assigned_to: assignee ? assignee.id : null,
+        assignee_name: assignee ? assignee.name : null
+      })
+    });
+
+  } catch (error) {
+    console.error('Complaint assignment error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to update complaint assignment' });
+    }
+  }
+};
+
+router.post('/:id/assign', authenticateToken, requireSubAdmin, [
+  body('assigneeId').isInt()
+], changeAssignment('assign'));
+
+router.post('/:id/reassign', authenticateToken, requireSubAdmin, [
+  body('assigneeId').isInt()
+], changeAssignment('reassign'));
+
+router.post('/:id/unassign', authenticateToken, requireSubAdmin, changeAssignment('unassign'));
+
+router.put('/:id/category', authenticateToken, requireSubAdmin, [
+  body('categoryId').optional({ nullable: true }).isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const categoryId = req.body.categoryId || null;
+    let category = null;
+    if (categoryId) {
+      const categoryResult = await pool.query(`
+        SELECT id, name FROM complaint_categories
+        WHERE id = $1 AND domain_id = $2 AND is_active = true
+      `, [categoryId, complaint.domain_id]);
+      if (categoryResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid category for this domain' });
+      }
+      category = categoryResult.rows[0];
+    }
+
+    const result = await pool.query(`
+      UPDATE complaints c
+      SET category_id = $1, updated_at = CURRENT_TIMESTAMP
+      FROM (SELECT id, category_id FROM complaints WHERE id = $2 FOR UPDATE) old
+      WHERE c.id = old.id
+      RETURNING old.category_id as old_category_id
+    `, [categoryId, complaintId]);
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.user.id, 'RECATEGORIZE', 'complaint', complaintId,
+        { category_id: result.rows[0].old_category_id }, { category_id: categoryId }]);
+
+    res.json({
+      message: 'Complaint category updated successfully',
+      category: convertKeysToCamelCase(category)
+    });
+
+  } catch (error) {
+    console.error('Complaint category update error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to update complaint category' });
+    }
+  }
+});
+
+router.post('/:id/tags', authenticateToken, requireSubAdmin, [
+  body('tags').isArray({ min: 1, max: MAX_TAGS_PER_COMPLAINT })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const tags = [...new Set(req.body.tags.map(normalizeTag))];
+    if (tags.includes(null)) {
+      return res.status(400).json({
+        error: 'Tags may only contain letters, numbers, spaces, hyphens and underscores (up to 40 characters)'
+      });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const existing = await pool.query(`
+      SELECT tag FROM complaint_tags WHERE complaint_id = $1
+    `, [complaintId]);
+    const existingTags = existing.rows.map(row => row.tag);
+    const newTags = tags.filter(tag => !existingTags.includes(tag));
+
+    if (existingTags.length + newTags.length > MAX_TAGS_PER_COMPLAINT) {
+      return res.status(409).json({ error: `A complaint can have at most ${MAX_TAGS_PER_COMPLAINT} tags` });
+    }
+
+    const added = await pool.query(`
+      INSERT INTO complaint_tags (complaint_id, tag, created_by)
+      SELECT $1, tag, $3 FROM unnest($2::text[]) as tag
+      ON CONFLICT (complaint_id, tag) DO NOTHING
+      RETURNING tag
+    `, [complaintId, newTags, req.user.id]);
+
+    if (added.rows.length > 0) {
+      await pool.query(`
+        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [req.user.id, 'TAG', 'complaint', complaintId, { tags: added.rows.map(row => row.tag) }]);
+    }
+
+    res.json({ message: 'Tags updated successfully', tags: [...existingTags, ...newTags].sort() });
+
+  } catch (error) {
+    console.error('Complaint tag error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to tag complaint' });
+    }
+  }
+});
+
+router.delete('/:id/tags/:tag', authenticateToken, requireSubAdmin, async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ error: 'Invalid tag' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const result = await pool.query(`
+      DELETE FROM complaint_tags WHERE complaint_id = $1 AND tag = $2
+    `, [complaintId, tag]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Tag not found on this complaint' });
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [req.user.id, 'UNTAG', 'complaint', complaintId, { tags: [tag] }]);
+
+    res.json({ message: 'Tag removed successfully' });
+
+  } catch (error) {
+    console.error('Complaint untag error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to remove tag' });
+    }
+  }
+});
+
+router.use('/:id/attachments', attachmentRoutes);
+router.use('/:id/messages', messageRoutes);
+
 module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { authenticateCron } = require('../middleware/auth');
+const { runEscalation } = require('../lib/sla');
+const { processOutbox } = require('../lib/mail/outbox');
+const { convertKeysToCamelCase } = require('../lib/utils');
+
+const router = express.Router();
+
+// Vercel Cron issues GET requests; POST is kept for manual triggers.
+// Scheduled runs are daily (see vercel.json), the most the Hobby plan allows.
+const slaEscalationHandler = async (req, res) => {
+  try {
+    const escalated = await runEscalation();
+
+    if (escalated.length > 0) {
+      console.log(`SLA escalation: ${escalated.length} complaint(s) escalated`);
+    }
+
+    res.json({
+      message: 'SLA escalation completed',
+      escalatedCount: escalated.length,
+      escalated: convertKeysToCamelCase(escalated)
+    });
+
+  } catch (error) {
+    console.error('SLA escalation error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to run SLA escalation' });
+    }
+  }
+};
+
+// Emails are sent right after the request that queued them (see
+// flushOutboxAfterResponse); this job retries failures and picks up anything
+// a frozen serverless instance left behind
+const emailOutboxHandler = async (req, res) => {
+  try {
+    const result = await processOutbox();
+
+    res.json({
+      message: 'Email outbox processed',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Email outbox error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to process email outbox' });
+    }
+  }
+};
+
+router.get('/sla-escalation', authenticateCron, slaEscalationHandler);
+router.post('/sla-escalation', authenticateCron, slaEscalationHandler);
+
+router.get('/email-outbox', authenticateCron, emailOutboxHandler);
+router.post('/email-outbox', authenticateCron, emailOutboxHandler);
+
+module.exports = router;
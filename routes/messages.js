@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const pool = require('../lib/db');
+const { authenticateToken } = require('../middleware/auth');
+const { parseComplaintId, findAccessibleComplaint, hidesSubmitter, auditActorId } = require('../lib/complaintAccess');
+const { convertKeysToCamelCase } = require('../lib/utils');
+
+// Mounted at /api/complaints/:id/messages
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Shape a message row for the viewer. Admins who may not know the
+ * submitter only see "Student" as the author of student messages.
+ * @param {Object} row - complaint_messages row joined with the author
+ * @param {Object} viewer - Authenticated user (req.user)
+ * @param {Object} complaint - Complaint the message belongs to
+ * @returns {Object} - Message payload
+ */
+const formatMessage = (row, viewer, complaint) => {
+  const hideAuthor = row.author_role === 'student' && hidesSubmitter(viewer, complaint);
+  return {
+    id: row.id,
+    body: row.body,
+    author_role: row.author_role,
+    author_name: hideAuthor ? 'Student' : row.author_name,
+    is_own: row.author_id === viewer.id,
+    created_at: row.created_at
+  };
+};
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT m.id, m.author_id, m.author_role, m.body, m.created_at,
+             u.name as author_name
+      FROM complaint_messages m
+      LEFT JOIN users u ON m.author_id = u.id
+      WHERE m.complaint_id = $1
+      ORDER BY m.created_at ASC, m.id ASC
+    `, [complaintId]);
+
+    res.json({
+      messages: convertKeysToCamelCase(result.rows.map(row => formatMessage(row, req.user, complaint)))
+    });
+
+  } catch (error) {
+    console.error('Messages fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+  }
+});
+
+router.post('/', authenticateToken, [
+  body('body').trim().isLength({ min: 1, max: 5000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const complaintId = parseComplaintId(req.params.id);
+    if (!complaintId) {
+      return res.status(400).json({ error: 'Invalid complaint ID' });
+    }
+
+    const complaint = await findAccessibleComplaint(req.user, complaintId);
+    if (!complaint) {
+      return res.status(404).json({ error: 'Complaint not found' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO complaint_messages (complaint_id, author_id, author_role, body)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, author_id, author_role, body, created_at
+    `, [complaintId, req.user.id, req.user.role, req.body.body]);
+
+    const message = result.rows[0];
+
+    // An admin reply counts as the first response for SLA purposes
+    if (req.user.role === 'student') {
+      await pool.query(`
+        UPDATE complaints SET updated_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [complaintId]);
+    } else {
+      await pool.query(`
+        UPDATE complaints
+        SET updated_at = CURRENT_TIMESTAMP,
+            first_response_at = COALESCE(first_response_at, CURRENT_TIMESTAMP)
+        WHERE id = $1
+      `, [complaintId]);
+    }
+
+    await pool.query(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [auditActorId(req.user, complaint), 'ADD_MESSAGE', 'complaint', complaintId, { message_id: message.id }]);
+
+    res.status(201).json({
+      message: 'Message posted successfully',
+      complaintMessage: convertKeysToCamelCase(
+        formatMessage({ ...message, author_name: req.user.name }, req.user, complaint)
+      )
+    });
+
+  } catch (error) {
+    console.error('Message creation error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to post message' });
+    }
+  }
+});
+
+module.exports = router;
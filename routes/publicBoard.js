@@ -0,0 +1,182 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const pool = require('../lib/db');
+const { OPEN_STATUSES } = require('../lib/sla');
+const { MAX_LIMIT, buildPublicBoardQuery } = require('../lib/complaintQuery');
+const { renderAtomFeed } = require('../lib/atomFeed');
+const { convertKeysToCamelCase } = require('../lib/utils');
+
+// Public transparency board: resolved complaints, aggregate statistics and an
+// Atom feed. Nothing here requires a login, so only publishable fields are
+// ever selected.
+const router = express.Router();
+
+const CACHE_SECONDS = parseInt(process.env.PUBLIC_BOARD_CACHE_SECONDS, 10) || 300;
+const FEED_SIZE = 50;
+
+const appUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Only successful responses are cacheable, so this is set right before sending
+const setPublicCache = (res, lastModified) => {
+  res.set('Cache-Control',
+    `public, max-age=${CACHE_SECONDS}, s-maxage=${CACHE_SECONDS}, stale-while-revalidate=${CACHE_SECONDS}`);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+};
+
+const handleError = (res, label, error) => {
+  console.error(`${label} error:`, error);
+  if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+    res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+  } else {
+    res.status(500).json({ error: `Failed to fetch ${label.toLowerCase()}` });
+  }
+};
+
+router.get('/', [
+  query('q').optional().trim().isLength({ min: 1, max: 200 }),
+  query('domainId').optional().isInt({ min: 1 }),
+  query('categoryId').optional().isInt({ min: 1 }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { query: listQuery, params, countQuery, countParams, page, limit } =
+      buildPublicBoardQuery(req.query);
+
+    const [result, countResult] = await Promise.all([
+      pool.query(listQuery, params),
+      pool.query(countQuery, countParams)
+    ]);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    setPublicCache(res);
+    res.json({
+      complaints: convertKeysToCamelCase(result.rows),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, 'Public complaints', error);
+  }
+});
+
+router.get('/stats', [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Statistics cover complaints submitted in the period in active domains,
+    // like the board itself; merged duplicates are counted once, through the
+    // complaint they were merged into
+    const params = [OPEN_STATUSES];
+    let period = "c.status <> 'merged'";
+    if (req.query.from) {
+      params.push(req.query.from);
+      period += ` AND c.created_at >= $${params.length}`;
+    }
+    if (req.query.to) {
+      params.push(req.query.to);
+      period += /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)
+        ? ` AND c.created_at < $${params.length}::date + 1`
+        : ` AND c.created_at <= $${params.length}`;
+    }
+
+    const aggregates = `
+      COUNT(c.id)::int as total,
+      COUNT(c.id) FILTER (WHERE c.status = 'resolved')::int as resolved,
+      COUNT(c.id) FILTER (WHERE c.status = 'rejected')::int as rejected,
+      COUNT(c.id) FILTER (WHERE c.status = ANY($1))::int as open,
+      ROUND((percentile_cont(0.5) WITHIN GROUP (
+        ORDER BY EXTRACT(EPOCH FROM (c.resolved_at - c.created_at)) / 3600
+      ) FILTER (WHERE c.status = 'resolved'))::numeric, 1) as median_resolution_hours
+    `;
+
+    const [domainResult, overallResult] = await Promise.all([
+      pool.query(`
+        SELECT d.id as domain_id, d.name as domain_name, ${aggregates}
+        FROM domains d
+        LEFT JOIN complaints c ON c.domain_id = d.id AND ${period}
+        WHERE d.is_active = true
+        GROUP BY d.id, d.name
+        ORDER BY d.name ASC
+      `, params),
+      pool.query(`
+        SELECT ${aggregates}
+        FROM complaints c
+        JOIN domains d ON c.domain_id = d.id
+        WHERE d.is_active = true AND ${period}
+      `, params)
+    ]);
+
+    setPublicCache(res);
+    res.json({
+      overall: convertKeysToCamelCase(overallResult.rows[0]),
+      domains: convertKeysToCamelCase(domainResult.rows)
+    });
+
+  } catch (error) {
+    handleError(res, 'Public statistics', error);
+  }
+});
+
+router.get('/feed', [
+  query('domainId').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { query: listQuery, params } =
+      buildPublicBoardQuery({ domainId: req.query.domainId, limit: FEED_SIZE });
+    const result = await pool.query(listQuery, params);
+
+    const boardUrl = `${appUrl()}/public`;
+    const domainName = req.query.domainId && result.rows[0] ? result.rows[0].domain_name : null;
+    const updated = result.rows[0] ? result.rows[0].resolved_at : null;
+
+    const xml = renderAtomFeed({
+      id: req.query.domainId ? `${boardUrl}?domainId=${parseInt(req.query.domainId, 10)}` : boardUrl,
+      title: domainName ? `Resolved issues: ${domainName}` : 'Resolved issues',
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      alternateUrl: boardUrl,
+      updated,
+      entries: result.rows.map(row => ({
+        id: `${boardUrl}?complaint=${row.id}`,
+        title: `[${row.domain_name}] ${row.title}`,
+        link: `${boardUrl}?complaint=${row.id}`,
+        updated: row.resolved_at,
+        category: row.domain_name,
+        summary: row.resolution_details || 'Resolved'
+      }))
+    });
+
+    setPublicCache(res, updated);
+    res.type('application/atom+xml').send(xml);
+
+  } catch (error) {
+    handleError(res, 'Public feed', error);
+  }
+});
+
+module.exports = router;
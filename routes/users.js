@@ -1,6 +1,7 @@
 const express = require('express');
 const pool = require('../lib/db');
 const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { ratingStats } = require('../lib/ratings');
 const { convertKeysToCamelCase } = require('../lib/utils');
 
 const router = express.Router();
@@ -8,9 +9,16 @@ const router = express.Router();
 router.get('/domains', async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT id, name, description 
-      FROM domains 
-      ORDER BY name
+      SELECT d.id, d.name, d.description,
+             COALESCE((
+               SELECT json_agg(json_build_object('id', cat.id, 'name', cat.name, 'description', cat.description)
+                               ORDER BY cat.sort_order, cat.name)
+               FROM complaint_categories cat
+               WHERE cat.domain_id = d.id AND cat.is_active = true
+             ), '[]') as categories
+      FROM domains d
+      WHERE d.is_active = true
+      ORDER BY d.sort_order, d.name
     `);
     
     res.json({ domains: convertKeysToCamelCase(result.rows) });
@@ -60,7 +68,9 @@ router.get('/stats', authenticateToken, async (req, res) => {
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
           COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress,
           COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved,
-          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected
+          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected,
+          COUNT(CASE WHEN status = 'reopened' THEN 1 END) as reopened,
+          COUNT(CASE WHEN status = 'merged' THEN 1 END) as merged
         FROM complaints 
         WHERE student_id = $1
       `, [req.user.id]);
@@ -71,7 +81,9 @@ router.get('/stats', authenticateToken, async (req, res) => {
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
           COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress,
           COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved,
-          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected
+          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected,
+          COUNT(CASE WHEN status = 'reopened' THEN 1 END) as reopened,
+          COUNT(CASE WHEN status = 'merged' THEN 1 END) as merged
         FROM complaints 
         WHERE domain_id = $1
       `, [req.user.domain_id]);
@@ -82,12 +94,25 @@ router.get('/stats', authenticateToken, async (req, res) => {
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
           COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress,
           COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved,
-          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected
+          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected,
+          COUNT(CASE WHEN status = 'reopened' THEN 1 END) as reopened,
+          COUNT(CASE WHEN status = 'merged' THEN 1 END) as merged
         FROM complaints
       `);
     }
 
-    res.json({ stats: convertKeysToCamelCase(statsQuery.rows[0]) });
+    // Satisfaction ratings are only reported to admins, scoped like the counts
+    let ratings;
+    if (req.user.role === 'sub_admin') {
+      ratings = await ratingStats(req.user.domain_id);
+    } else if (req.user.role === 'super_admin') {
+      ratings = await ratingStats();
+    }
+
+    res.json({
+      stats: convertKeysToCamelCase(statsQuery.rows[0]),
+      ...(ratings && { ratings: convertKeysToCamelCase(ratings) })
+    });
   } catch (error) {
     console.error('Stats fetch error:', error);
     if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
@@ -98,4 +123,119 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+router.get('/notifications', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const offset = (pageNumber - 1) * pageSize;
+    const unreadOnly = unread === 'true';
+
+    const result = await pool.query(`
+      SELECT id, type, title, body, complaint_id, read_at, created_at
+      FROM notifications
+      WHERE user_id = $1 AND ($2::boolean = false OR read_at IS NULL)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3 OFFSET $4
+    `, [req.user.id, unreadOnly, pageSize, offset]);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM notifications
+      WHERE user_id = $1 AND ($2::boolean = false OR read_at IS NULL)
+    `, [req.user.id, unreadOnly]);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    res.json({
+      notifications: convertKeysToCamelCase(result.rows),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+  }
+});
+
+router.get('/notifications/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT COUNT(*) as unread
+      FROM notifications
+      WHERE user_id = $1 AND read_at IS NULL
+    `, [req.user.id]);
+
+    res.json({ unread: parseInt(result.rows[0].unread, 10) });
+  } catch (error) {
+    console.error('Unread count fetch error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch unread count' });
+    }
+  }
+});
+
+router.put('/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE notifications
+      SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND read_at IS NULL
+    `, [req.user.id]);
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.rowCount
+    });
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+  }
+});
+
+router.put('/notifications/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id, 10);
+    if (isNaN(notificationId) || notificationId <= 0) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+
+    const result = await pool.query(`
+      UPDATE notifications
+      SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, read_at
+    `, [notificationId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification: convertKeysToCamelCase(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+      res.status(503).json({ error: 'Database connection failed. Please try again later.' });
+    } else {
+      res.status(500).json({ error: 'Failed to mark notification as read' });
+    }
+  }
+});
+
 module.exports = router;
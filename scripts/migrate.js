@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary application-wide key so two migration runs never overlap
+const MIGRATION_LOCK_KEY = 724100;
+
+const USAGE = `Usage: node scripts/migrate.js <command> [options]
+
+Commands:
+  up [--to <version>]        Apply pending migrations, optionally up to a version
+  down [--steps <n>]         Roll back the last n applied migrations (default 1)
+  down --to <version>        Roll back every migration newer than a version
+  status                     List migrations and whether they are applied
+  create <name>              Create an empty migration file`;
+
+/**
+ * Load migration modules from the migrations directory, ordered by version
+ * @returns {Array<{version: number, name: string, file: string, up: Function, down: Function}>}
+ */
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+    }
+  });
+
+  return migrations;
+};
+
+const parseOption = (args, flag) => {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return null;
+  }
+  const value = parseInt(args[index + 1], 10);
+  if (isNaN(value) || value < 0) {
+    throw new Error(`${flag} expects a non-negative number`);
+  }
+  return value;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+const appliedMigrations = async (client) => {
+  const result = await client.query(`
+    SELECT version, name, applied_at FROM schema_migrations ORDER BY version
+  `);
+  return result.rows;
+};
+
+/**
+ * Run one migration step and its bookkeeping in a single transaction
+ * @param {Object} client - Connected pg client
+ * @param {Object} migration - Loaded migration
+ * @param {'up'|'down'} direction
+ */
+const runMigration = async (client, migration, direction) => {
+  const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  console.log(`${direction === 'up' ? 'Applying' : 'Rolling back'} ${label}...`);
+
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query(`
+        INSERT INTO schema_migrations (version, name) VALUES ($1, $2)
+      `, [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `${label} failed: ${error.message}`;
+    throw error;
+  }
+
+  console.log(`✓ ${label}`);
+};
+
+const migrateUp = async (client, migrations, args) => {
+  const target = parseOption(args, '--to');
+  const applied = new Set((await appliedMigrations(client)).map(row => row.version));
+  const pending = migrations.filter(migration =>
+    !applied.has(migration.version) && (target === null || migration.version <= target));
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    await runMigration(client, migration, 'up');
+  }
+  console.log(`Applied ${pending.length} migration(s)`);
+};
+
+const migrateDown = async (client, migrations, args) => {
+  const target = parseOption(args, '--to');
+  const steps = parseOption(args, '--steps');
+  const applied = (await appliedMigrations(client)).reverse();
+
+  const toRollBack = target !== null
+    ? applied.filter(row => row.version > target)
+    : applied.slice(0, steps === null ? 1 : steps);
+
+  if (toRollBack.length === 0) {
+    console.log('Nothing to roll back');
+    return;
+  }
+
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const missing = toRollBack.filter(row => !byVersion.has(row.version));
+  if (missing.length > 0) {
+    throw new Error(`Migration files not found for applied version(s): ${missing.map(row => row.version).join(', ')}`);
+  }
+
+  for (const row of toRollBack) {
+    await runMigration(client, byVersion.get(row.version), 'down');
+  }
+  console.log(`Rolled back ${toRollBack.length} migration(s)`);
+};
+
+const showStatus = async (client, migrations) => {
+  const applied = await appliedMigrations(client);
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  migrations.forEach(migration => {
+    const when = appliedAt.get(migration.version);
+    const state = when ? `applied ${new Date(when).toISOString()}` : 'pending';
+    console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+  });
+
+  applied
+    .filter(row => !known.has(row.version))
+    .forEach(row => console.log(`${String(row.version).padStart(3, '0')}_${row.name}  applied, file missing`));
+
+  const pendingCount = migrations.filter(migration => !appliedAt.has(migration.version)).length;
+  console.log(`${applied.length} applied, ${pendingCount} pending`);
+};
+
+const createMigration = (migrations, name) => {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) {
+    throw new Error('create expects a migration name');
+  }
+
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = `${String(version).padStart(3, '0')}_${slug}.js`;
+  fs.writeFileSync(path.join(MIGRATIONS_DIR, file), `// ${name}
+
+const up = async (client) => {
+};
+
+const down = async (client) => {
+};
+
+module.exports = { up, down };
+`);
+  console.log(`Created migrations/${file}`);
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const migrations = loadMigrations();
+
+  if (command === 'create') {
+    createMigration(migrations, args.join(' '));
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+  });
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    if (command === 'up') {
+      await migrateUp(client, migrations, args);
+    } else if (command === 'down') {
+      await migrateDown(client, migrations, args);
+    } else {
+      await showStatus(client, migrations);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
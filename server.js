@@ -80,8 +80,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Content-Disposition'],
   maxAge: 600 // 10 minutes
 }));
 
@@ -108,6 +108,7 @@ app.use(sanitizeRequestInputs);
 app.use(detectSQLInjection);
 
 const pool = require('./lib/db');
+const { flushOutboxAfterResponse } = require('./lib/mail/outbox');
 
 // Root endpoint for health check
 app.get('/', (req, res) => {
@@ -171,11 +172,16 @@ const authRoutes = require('./routes/auth');
 const complaintRoutes = require('./routes/complaints');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const jobRoutes = require('./routes/jobs');
+
+// Emails queued while handling a request are sent after its response
+app.use(flushOutboxAfterResponse);
 
 app.use('/api/auth', authRoutes);
 app.use('/api/complaints', complaintRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Enhanced error handler that doesn't leak sensitive information
 app.use((err, req, res, next) => {